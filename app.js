@@ -2,194 +2,47 @@
 // Main Application JavaScript
 
 class HyperionApp {
+    // Version 1 exports predate the field; both carry parameters keyed by name
+    static EXPORT_SCHEMA_VERSION = 2;
+
+    // Shared links replay at most this much sim time
+    static MAX_LINK_TIME = 600;
+
+    // Link replays run in slices of this many milliseconds so a long one can't freeze the page
+    static LINK_REPLAY_SLICE = 30;
+
+    // Longest run, in sim seconds, behind each point of a parameter sweep
+    static MAX_SWEEP_DURATION = 600;
+
+    // Sliders over ranges this wide (max / min) move in powers of ten, in this many positions
+    static LOG_SCALE_RATIO = 1000;
+    static SLIDER_RESOLUTION = 1000;
+
     constructor() {
         this.currentRoute = '';
         this.simulationStates = new Map();
         this.animationFrameId = null;
+        this.activeSimulation = null;
+        this.lastFrameTime = null;
+        this.clock = new HyperionClock();
+        this.recorder = null;
+        this.charts = [];
+        this.chartData = null;
+        this.panes = [];
+        this.paneSerial = 0;
+        this.comparisonRows = [];
+        this.capture = null;
+        this.frameExport = null;
+        this.sweep = null;
         
-        // Application data
-        this.data = {
-            "categories": [
-                {
-                    "id": "core-mechanics",
-                    "name": "Core Mechanics", 
-                    "complexity": 3,
-                    "simulationCount": 3,
-                    "color": "#00bfff",
-                    "description": "Fundamental physics principles and classical mechanics",
-                    "simulations": [
-                        {
-                            "id": "newtons-cradle",
-                            "name": "Newton's Cradle",
-                            "description": "Demonstrates conservation of momentum and energy through colliding spheres",
-                            "equations": ["p = mv", "KE = ½mv²", "Conservation: Σp_i = Σp_f"],
-                            "parameters": [
-                                {"name": "Mass", "min": 0.1, "max": 2.0, "default": 1.0, "unit": "kg"},
-                                {"name": "Velocity", "min": 0, "max": 10, "default": 5, "unit": "m/s"},
-                                {"name": "Restitution", "min": 0.5, "max": 1.0, "default": 0.95, "unit": ""}
-                            ]
-                        },
-                        {
-                            "id": "harmonic-oscillator", 
-                            "name": "Harmonic Oscillator",
-                            "description": "Simple harmonic motion with spring-mass system",
-                            "equations": ["F = -kx", "ω = √(k/m)", "x(t) = A cos(ωt + φ)"],
-                            "parameters": [
-                                {"name": "Mass", "min": 0.1, "max": 5.0, "default": 1.0, "unit": "kg"},
-                                {"name": "Spring Constant", "min": 1, "max": 100, "default": 10, "unit": "N/m"},
-                                {"name": "Amplitude", "min": 0.1, "max": 3.0, "default": 1.0, "unit": "m"}
-                            ]
-                        },
-                        {
-                            "id": "projectile-motion",
-                            "name": "Projectile Motion", 
-                            "description": "Motion under gravity with initial velocity",
-                            "equations": ["x = v₀ₓt", "y = v₀ᵧt - ½gt²", "R = v₀²sin(2θ)/g"],
-                            "parameters": [
-                                {"name": "Initial Velocity", "min": 1, "max": 50, "default": 20, "unit": "m/s"},
-                                {"name": "Launch Angle", "min": 0, "max": 90, "default": 45, "unit": "°"},
-                                {"name": "Gravity", "min": 1, "max": 20, "default": 9.81, "unit": "m/s²"}
-                            ]
-                        }
-                    ]
-                },
-                {
-                    "id": "gravity-systems",
-                    "name": "Gravity Systems",
-                    "complexity": 7, 
-                    "simulationCount": 3,
-                    "color": "#00ff41",
-                    "description": "Gravitational interactions and orbital mechanics",
-                    "simulations": [
-                        {
-                            "id": "orbital-mechanics",
-                            "name": "Orbital Mechanics",
-                            "description": "Planetary orbits and satellite motion",
-                            "equations": ["F = GMm/r²", "v = √(GM/r)", "T² = (4π²/GM)r³"],
-                            "parameters": [
-                                {"name": "Central Mass", "min": 1e24, "max": 2e30, "default": 5.97e24, "unit": "kg"},
-                                {"name": "Orbital Radius", "min": 1e6, "max": 1e9, "default": 6.37e6, "unit": "m"},
-                                {"name": "Eccentricity", "min": 0, "max": 0.9, "default": 0.1, "unit": ""}
-                            ]
-                        },
-                        {
-                            "id": "gravitational-slingshot",
-                            "name": "Gravitational Slingshot",
-                            "description": "Gravity assist maneuver for spacecraft",
-                            "equations": ["Δv = 2v_planet", "Energy conservation", "Momentum conservation"],
-                            "parameters": [
-                                {"name": "Planet Velocity", "min": 5, "max": 50, "default": 30, "unit": "km/s"},
-                                {"name": "Approach Angle", "min": 0, "max": 180, "default": 90, "unit": "°"},
-                                {"name": "Closest Approach", "min": 1000, "max": 50000, "default": 5000, "unit": "km"}
-                            ]
-                        },
-                        {
-                            "id": "n-body-simulation",
-                            "name": "N-body Simulation",
-                            "description": "Multiple body gravitational interactions",
-                            "equations": ["F_ij = Gm_im_j(r_j - r_i)/|r_j - r_i|³", "Numerical integration"],
-                            "parameters": [
-                                {"name": "Number of Bodies", "min": 2, "max": 10, "default": 3, "unit": ""},
-                                {"name": "Time Step", "min": 0.001, "max": 0.1, "default": 0.01, "unit": "s"},
-                                {"name": "Simulation Speed", "min": 0.1, "max": 5.0, "default": 1.0, "unit": "x"}
-                            ]
-                        }
-                    ]
-                },
-                {
-                    "id": "chaos-theory",
-                    "name": "Chaos Theory",
-                    "complexity": 8,
-                    "simulationCount": 3, 
-                    "color": "#8a2be2",
-                    "description": "Complex dynamical systems and chaotic behavior",
-                    "simulations": [
-                        {
-                            "id": "double-pendulum",
-                            "name": "Double Pendulum",
-                            "description": "Chaotic motion of coupled pendulums",
-                            "equations": ["Complex coupled ODEs", "Lagrangian mechanics", "Sensitive to initial conditions"],
-                            "parameters": [
-                                {"name": "Length 1", "min": 0.5, "max": 2.0, "default": 1.0, "unit": "m"},
-                                {"name": "Length 2", "min": 0.5, "max": 2.0, "default": 1.0, "unit": "m"},
-                                {"name": "Mass 1", "min": 0.1, "max": 2.0, "default": 1.0, "unit": "kg"},
-                                {"name": "Mass 2", "min": 0.1, "max": 2.0, "default": 1.0, "unit": "kg"}
-                            ]
-                        },
-                        {
-                            "id": "lorenz-attractor",
-                            "name": "Lorenz Attractor",
-                            "description": "Strange attractor from atmospheric convection",
-                            "equations": ["dx/dt = σ(y - x)", "dy/dt = x(ρ - z) - y", "dz/dt = xy - βz"],
-                            "parameters": [
-                                {"name": "Sigma (σ)", "min": 5, "max": 15, "default": 10, "unit": ""},
-                                {"name": "Rho (ρ)", "min": 20, "max": 35, "default": 28, "unit": ""},
-                                {"name": "Beta (β)", "min": 1, "max": 5, "default": 2.67, "unit": ""}
-                            ]
-                        },
-                        {
-                            "id": "logistic-map",
-                            "name": "Logistic Map",
-                            "description": "Discrete-time dynamical system showing chaos",
-                            "equations": ["x_{n+1} = rx_n(1 - x_n)", "Bifurcation parameter r"],
-                            "parameters": [
-                                {"name": "Growth Rate (r)", "min": 0.5, "max": 4.0, "default": 3.5, "unit": ""},
-                                {"name": "Initial Population", "min": 0.01, "max": 0.99, "default": 0.5, "unit": ""},
-                                {"name": "Iterations", "min": 100, "max": 2000, "default": 500, "unit": ""}
-                            ]
-                        }
-                    ]
-                },
-                {
-                    "id": "quantum-physics",
-                    "name": "Quantum Physics",
-                    "complexity": 9,
-                    "simulationCount": 3,
-                    "color": "#ff6b6b", 
-                    "description": "Quantum mechanical phenomena and wave functions",
-                    "simulations": [
-                        {
-                            "id": "schrodinger-1d",
-                            "name": "Schrödinger Equation 1D",
-                            "description": "Quantum wave function evolution",
-                            "equations": ["iℏ∂ψ/∂t = Ĥψ", "P(x) = |ψ(x)|²", "⟨x⟩ = ∫ ψ*xψ dx"],
-                            "parameters": [
-                                {"name": "Barrier Height", "min": 0, "max": 10, "default": 5, "unit": "eV"},
-                                {"name": "Particle Mass", "min": 0.1, "max": 2.0, "default": 1.0, "unit": "m_e"},
-                                {"name": "Wave Packet Width", "min": 0.5, "max": 3.0, "default": 1.0, "unit": "nm"}
-                            ]
-                        },
-                        {
-                            "id": "superposition-demo",
-                            "name": "Superposition Demo",
-                            "description": "Quantum superposition of states",
-                            "equations": ["|ψ⟩ = α|0⟩ + β|1⟩", "|α|² + |β|² = 1", "P(0) = |α|², P(1) = |β|²"],
-                            "parameters": [
-                                {"name": "Alpha Amplitude", "min": 0, "max": 1, "default": 0.707, "unit": ""},
-                                {"name": "Alpha Phase", "min": 0, "max": 360, "default": 0, "unit": "°"},
-                                {"name": "Beta Amplitude", "min": 0, "max": 1, "default": 0.707, "unit": ""}
-                            ]
-                        },
-                        {
-                            "id": "quantum-tunneling",
-                            "name": "Quantum Tunneling", 
-                            "description": "Tunneling through potential barriers",
-                            "equations": ["T = |ψ_transmitted|²/|ψ_incident|²", "R = |ψ_reflected|²/|ψ_incident|²", "T + R = 1"],
-                            "parameters": [
-                                {"name": "Barrier Height", "min": 1, "max": 20, "default": 10, "unit": "eV"},
-                                {"name": "Barrier Width", "min": 0.1, "max": 2.0, "default": 0.5, "unit": "nm"},
-                                {"name": "Particle Energy", "min": 0.1, "max": 15, "default": 5, "unit": "eV"}
-                            ]
-                        }
-                    ]
-                }
-            ]
-        };
+        // Categories and simulations come from the modules that registered themselves
+        this.registry = HyperionRegistry;
 
         this.init();
     }
 
     init() {
+        this.renderNavigation();
         this.setupEventListeners();
         this.setupRouter();
         this.initializeRoute();
@@ -202,6 +55,17 @@ class HyperionApp {
         // Hash change for routing
         window.addEventListener('hashchange', this.handleRouteChange.bind(this));
         
+        // Keep the simulation canvas sharp when the layout changes
+        window.addEventListener('resize', () => {
+            this.resizeSimulationCanvas();
+            this.drawSimulation();
+            this.panes.forEach(pane => {
+                pane.resize();
+                pane.draw();
+            });
+            this.drawSweep();
+        });
+        
         // Close sidebar on mobile when clicking outside
         document.addEventListener('click', (e) => {
             const sidebar = document.getElementById('sidebar');
@@ -224,23 +88,34 @@ class HyperionApp {
         });
     }
 
+    renderNavigation() {
+        const menu = document.querySelector('.nav-menu');
+        if (!menu) return;
+        
+        this.registry.categories.forEach(category => {
+            const item = document.createElement('li');
+            item.innerHTML = `<a href="#/${category.id}" class="nav-link">${category.name}</a>`;
+            menu.appendChild(item);
+        });
+    }
+
     setupRouter() {
         // Define routes
         this.routes = {
             '': this.renderDashboard.bind(this),
             '/': this.renderDashboard.bind(this),
-            '/core-mechanics': () => this.renderCategory('core-mechanics'),
-            '/gravity-systems': () => this.renderCategory('gravity-systems'),
-            '/chaos-theory': () => this.renderCategory('chaos-theory'),
-            '/quantum-physics': () => this.renderCategory('quantum-physics')
+            '/experiments': this.renderExperiments.bind(this)
         };
 
-        // Add simulation routes dynamically
-        this.data.categories.forEach(category => {
-            category.simulations.forEach(simulation => {
-                this.routes[`/${category.id}/${simulation.id}`] = () => 
-                    this.renderSimulation(category.id, simulation.id);
-            });
+        // Category and simulation routes follow the registry
+        this.registry.categories.forEach(category => {
+            this.routes[`/${category.id}`] = () => this.renderCategory(category.id);
+        });
+        this.registry.simulations.forEach(simulation => {
+            this.routes[`/${simulation.category}/${simulation.id}`] = (query) => 
+                this.renderSimulation(simulation.category, simulation.id, query);
+            this.routes[`/${simulation.category}/${simulation.id}/compare`] = (query) =>
+                this.renderComparison(simulation.category, simulation.id, query);
         });
     }
 
@@ -260,16 +135,36 @@ class HyperionApp {
         this.showLoading();
         this.currentRoute = route;
         
+        // Anything after "?" is link state for the page, not part of the route
+        const [path, queryString = ''] = route.split('?');
+        const query = new URLSearchParams(queryString);
+        
+        // Stop any running simulation before leaving its page
+        this.pauseSimulation();
+        this.activeSimulation?.dispose?.();
+        this.activeSimulation = null;
+        this.panes.forEach(pane => pane.dispose());
+        this.panes = [];
+        this.comparisonRows = [];
+        this.capture?.cancel();
+        this.capture = null;
+        if (this.frameExport) this.frameExport.cancelled = true;
+        this.sweep?.cancel();
+        this.sweep = null;
+        this.recorder = null;
+        this.charts = [];
+        this.chartData = null;
+        
         // Update active navigation
-        this.updateActiveNavigation(route);
+        this.updateActiveNavigation(path);
         
         // Update breadcrumb
-        this.updateBreadcrumb(route);
+        this.updateBreadcrumb(path);
         
         // Render content with delay for loading effect
         setTimeout(() => {
-            if (this.routes[route]) {
-                this.routes[route]();
+            if (this.routes[path]) {
+                this.routes[path](query);
             } else {
                 this.render404();
             }
@@ -301,17 +196,27 @@ class HyperionApp {
         let breadcrumbHTML = '<span class="breadcrumb-item"><a href="#/" class="breadcrumb-link">Dashboard</a></span>';
         
         if (parts.length === 1) {
-            const category = this.data.categories.find(cat => cat.id === parts[0]);
+            const category = this.registry.getCategory(parts[0]);
             if (category) {
                 breadcrumbHTML += `<span class="breadcrumb-item">${category.name}</span>`;
+            } else if (parts[0] === 'experiments') {
+                breadcrumbHTML += '<span class="breadcrumb-item">My Experiments</span>';
             }
         } else if (parts.length === 2) {
-            const category = this.data.categories.find(cat => cat.id === parts[0]);
-            const simulation = category?.simulations.find(sim => sim.id === parts[1]);
+            const category = this.registry.getCategory(parts[0]);
+            const simulation = this.findSimulation(parts[0], parts[1]);
             if (category && simulation) {
                 breadcrumbHTML += `<span class="breadcrumb-item"><a href="#/${category.id}" class="breadcrumb-link">${category.name}</a></span>`;
                 breadcrumbHTML += `<span class="breadcrumb-item">${simulation.name}</span>`;
             }
+        } else if (parts.length === 3 && parts[2] === 'compare') {
+            const category = this.registry.getCategory(parts[0]);
+            const simulation = this.findSimulation(parts[0], parts[1]);
+            if (category && simulation) {
+                breadcrumbHTML += `<span class="breadcrumb-item"><a href="#/${category.id}" class="breadcrumb-link">${category.name}</a></span>`;
+                breadcrumbHTML += `<span class="breadcrumb-item"><a href="#/${category.id}/${simulation.id}" class="breadcrumb-link">${simulation.name}</a></span>`;
+                breadcrumbHTML += '<span class="breadcrumb-item">Compare</span>';
+            }
         }
         
         breadcrumb.innerHTML = breadcrumbHTML;
@@ -321,9 +226,12 @@ class HyperionApp {
         const template = document.getElementById('dashboard-template');
         const content = template.content.cloneNode(true);
         
+        content.getElementById('stat-simulations').textContent = this.registry.simulations.length;
+        content.getElementById('stat-categories').textContent = this.registry.categories.length;
+        
         // Populate categories grid
         const categoriesGrid = content.getElementById('categories-grid');
-        this.data.categories.forEach(category => {
+        this.registry.categories.forEach(category => {
             const categoryCard = this.createCategoryCard(category);
             categoriesGrid.appendChild(categoryCard);
         });
@@ -354,29 +262,19 @@ class HyperionApp {
                     <h3 class="category-name">${category.name}</h3>
                     <div class="category-complexity">Complexity: ${category.complexity}/10</div>
                 </div>
-                <div class="category-icon">${this.getCategoryIcon(category.id)}</div>
+                <div class="category-icon">${category.icon}</div>
             </div>
             <p class="category-description">${category.description}</p>
             <div class="category-stats">
-                <span class="simulation-count">${category.simulationCount} simulations</span>
+                <span class="simulation-count">${this.registry.getSimulations(category.id).length} simulations</span>
             </div>
         `;
         
         return card;
     }
 
-    getCategoryIcon(categoryId) {
-        const icons = {
-            'core-mechanics': '⚙️',
-            'gravity-systems': '🌍',
-            'chaos-theory': '🌀',
-            'quantum-physics': '⚛️'
-        };
-        return icons[categoryId] || '🔬';
-    }
-
     renderCategory(categoryId) {
-        const category = this.data.categories.find(cat => cat.id === categoryId);
+        const category = this.registry.getCategory(categoryId);
         if (!category) {
             this.render404();
             return;
@@ -389,11 +287,12 @@ class HyperionApp {
         content.querySelector('.category-title').textContent = category.name;
         content.querySelector('.category-description').textContent = category.description;
         content.querySelector('.complexity-value').textContent = category.complexity;
-        content.querySelector('.simulation-count').textContent = `${category.simulationCount} simulations`;
+        const simulations = this.registry.getSimulations(categoryId);
+        content.querySelector('.simulation-count').textContent = `${simulations.length} simulations`;
         
         // Populate simulations grid
         const simulationsGrid = content.getElementById('simulations-grid');
-        category.simulations.forEach(simulation => {
+        simulations.forEach(simulation => {
             const simulationCard = this.createSimulationCard(category.id, simulation);
             simulationsGrid.appendChild(simulationCard);
         });
@@ -431,11 +330,16 @@ class HyperionApp {
         return card;
     }
 
-    renderSimulation(categoryId, simulationId) {
-        const category = this.data.categories.find(cat => cat.id === categoryId);
-        const simulation = category?.simulations.find(sim => sim.id === simulationId);
+    // A simulation only resolves under the category it registered with
+    findSimulation(categoryId, simulationId) {
+        const simulation = this.registry.getSimulation(simulationId);
+        return simulation?.category === categoryId ? simulation : undefined;
+    }
+
+    renderSimulation(categoryId, simulationId, query = new URLSearchParams()) {
+        const simulation = this.findSimulation(categoryId, simulationId);
         
-        if (!category || !simulation) {
+        if (!simulation) {
             this.render404();
             return;
         }
@@ -450,7 +354,9 @@ class HyperionApp {
         // Populate parameters
         const parametersList = content.getElementById('parameters-list');
         simulation.parameters.forEach(param => {
-            const parameterItem = this.createParameterControl(param, simulationId);
+            const parameterItem = this.createParameterControl(param, this.getParameterId(simulationId, param.name), (value) => {
+                this.updateParameter(simulationId, param.name, value);
+            });
             parametersList.appendChild(parameterItem);
         });
         
@@ -463,60 +369,170 @@ class HyperionApp {
             equationsList.appendChild(equationItem);
         });
         
+        // One row per declared observable
+        const calculationsList = content.getElementById('calculations-list');
+        simulation.observables.forEach(observable => {
+            const calculationItem = document.createElement('div');
+            calculationItem.className = 'calculation-item';
+            calculationItem.innerHTML = `
+                <span class="calc-label">${observable.label}:</span>
+                <span class="calc-value" data-observable="${observable.id}">—</span>
+            `;
+            calculationsList.appendChild(calculationItem);
+        });
+        
         this.setContent(content);
         
         // Setup simulation controls
         this.setupSimulationControls(simulationId);
+        this.setupPresets(simulation);
+        this.setupRecorder(simulation);
+        this.setupCharts(simulation);
+        this.setupSweep(simulation);
         
-        // Initialize parameter values
-        this.initializeSimulationState(simulationId, simulation);
+        // Initialize parameter values, taking any from a shared link
+        this.initializeSimulationState(simulationId, simulation, query);
     }
 
-    createParameterControl(param, simulationId) {
+    // onChange receives the parsed value; callers decide which state it belongs to
+    createParameterControl(param, paramId, onChange) {
         const item = document.createElement('div');
         item.className = 'parameter-item';
         
-        const paramId = `${simulationId}-${param.name.toLowerCase().replace(/\s+/g, '-')}`;
+        if (param.type === 'select') {
+            return this.createSelectControl(item, param, paramId, onChange);
+        }
+        
+        // Units with others of the same dimension get a picker for the field's display unit
+        const choices = HyperionUnits.choices(param.unit);
+        const unitControl = choices.length > 1
+            ? `<select class="parameter-unit" id="${paramId}-unit" title="Display unit">${choices.map(unit => `<option value="${unit}">${unit}</option>`).join('')}</select>`
+            : `<span class="parameter-unit">${param.unit}</span>`;
+        const logScale = this.isLogScale(param);
         
         item.innerHTML = `
             <div class="parameter-label">
                 <span>${param.name}</span>
-                <span class="parameter-value" id="${paramId}-value">${param.default} ${param.unit}</span>
+                <span class="parameter-value">
+                    <input type="text" class="parameter-input" id="${paramId}-value" inputmode="decimal" spellcheck="false" title="Exact value">
+                    ${unitControl}
+                </span>
             </div>
             <input type="range" 
                    class="parameter-slider" 
                    id="${paramId}"
-                   min="${param.min}" 
-                   max="${param.max}" 
-                   step="${this.getStepSize(param)}"
-                   value="${param.default}">
+                   min="${logScale ? 0 : param.min}" 
+                   max="${logScale ? HyperionApp.SLIDER_RESOLUTION : param.max}" 
+                   step="${logScale ? 1 : this.getStepSize(param)}">
         `;
+        this.setParameterControl(item, param, param.default);
         
-        // Add event listener
         const slider = item.querySelector('.parameter-slider');
+        const input = item.querySelector('.parameter-input');
         slider.addEventListener('input', (e) => {
-            this.updateParameter(simulationId, param.name, parseFloat(e.target.value), param.unit);
+            const position = parseFloat(e.target.value);
+            const value = logScale ? this.sliderValue(param, position, parseFloat(input.dataset.value)) : position;
+            this.setParameterControl(item, param, value, false);
+            onChange(value);
+        });
+        
+        // Typed values are read in the display unit; anything unreadable puts the last value back
+        input.addEventListener('change', () => {
+            const typed = Number(input.value.trim().replace('−', '-'));
+            if (input.value.trim() === '' || !isFinite(typed)) {
+                this.setParameterControl(item, param, parseFloat(input.dataset.value));
+                return;
+            }
+            const value = this.snapToStep(param, HyperionUnits.convert(typed, this.displayUnit(item, param), param.unit));
+            this.setParameterControl(item, param, value);
+            onChange(value);
+        });
+        item.querySelector('select.parameter-unit')?.addEventListener('change', () => {
+            this.setParameterControl(item, param, parseFloat(input.dataset.value));
+        });
+        
+        return item;
+    }
+
+    displayUnit(item, param) {
+        return item.querySelector('select.parameter-unit')?.value ?? param.unit;
+    }
+
+    // The field shows the value in its display unit and keeps the exact value for unit changes
+    setParameterControl(item, param, value, moveSlider = true) {
+        const slider = item.querySelector('.parameter-slider');
+        const input = item.querySelector('.parameter-input');
+        if (slider && moveSlider) {
+            slider.value = this.isLogScale(param) ? this.sliderPosition(param, value) : value;
+        }
+        if (input) {
+            input.dataset.value = value;
+            input.value = HyperionUnits.formatNumber(HyperionUnits.convert(value, param.unit, this.displayUnit(item, param)), 6);
+        }
+    }
+
+    createSelectControl(item, param, paramId, onChange) {
+        const optionsHTML = param.options.map(option =>
+            `<option value="${option}"${option === param.default ? ' selected' : ''}>${option}</option>`
+        ).join('');
+        
+        item.innerHTML = `
+            <div class="parameter-label">
+                <span>${param.name}</span>
+            </div>
+            <select class="parameter-select" id="${paramId}">${optionsHTML}</select>
+        `;
+        
+        const select = item.querySelector('.parameter-select');
+        select.addEventListener('change', (e) => {
+            onChange(e.target.value);
         });
         
         return item;
     }
 
     getStepSize(param) {
+        if (param.step) return param.step;
         const range = param.max - param.min;
         if (range > 100) return 1;
         if (range > 10) return 0.1;
         return 0.01;
     }
 
-    updateParameter(simulationId, paramName, value, unit) {
-        const paramId = `${simulationId}-${paramName.toLowerCase().replace(/\s+/g, '-')}`;
-        const valueDisplay = document.getElementById(`${paramId}-value`);
-        
-        if (valueDisplay) {
-            const formattedValue = this.formatValue(value);
-            valueDisplay.textContent = `${formattedValue} ${unit}`;
-        }
+    // Parameters may set "scale"; otherwise wide positive ranges slide logarithmically
+    isLogScale(param) {
+        if (param.scale) return param.scale === 'log';
+        return param.min > 0 && param.max / param.min >= HyperionApp.LOG_SCALE_RATIO;
+    }
+
+    sliderPosition(param, value) {
+        const low = Math.log10(param.min);
+        const position = (Math.log10(Math.max(value, param.min)) - low) / (Math.log10(param.max) - low);
+        return Math.round(position * HyperionApp.SLIDER_RESOLUTION);
+    }
+
+    // Three significant figures, so slid values read cleanly. A position that the current value or the
+    // default sits at gives that value back exactly, so sliding back does not round it
+    sliderValue(param, position, current) {
+        const exact = [current, param.default].find(value => isFinite(value) && this.sliderPosition(param, value) === position);
+        if (exact !== undefined) return exact;
         
+        const low = Math.log10(param.min);
+        const value = Math.pow(10, low + (Math.log10(param.max) - low) * position / HyperionApp.SLIDER_RESOLUTION);
+        return this.snapToStep(param, parseFloat(value.toPrecision(3)));
+    }
+
+    snapToStep(param, value) {
+        const snapped = param.step ? param.min + Math.round((value - param.min) / param.step) * param.step : value;
+        return Math.min(param.max, Math.max(param.min, parseFloat(snapped.toPrecision(12))));
+    }
+
+    // scopeId is the simulation id, or a pane id when several instances share the page
+    getParameterId(scopeId, paramName) {
+        return `${scopeId}-${paramName.toLowerCase().replace(/\s+/g, '-')}`;
+    }
+
+    updateParameter(simulationId, paramName, value) {
         // Update simulation state
         if (!this.simulationStates.has(simulationId)) {
             this.simulationStates.set(simulationId, {});
@@ -525,46 +541,96 @@ class HyperionApp {
         const state = this.simulationStates.get(simulationId);
         state[paramName] = value;
         
+        // Hand the new values to the running engine
+        if (this.activeSimulation) {
+            this.activeSimulation.setParameters({ ...state });
+            this.drawSimulation();
+        }
+        
         // Update live calculations
         this.updateLiveCalculations(simulationId);
     }
 
-    formatValue(value) {
-        if (value >= 1e6) return (value / 1e6).toFixed(2) + 'M';
-        if (value >= 1000) return (value / 1000).toFixed(2) + 'k';
-        if (value < 0.01) return value.toExponential(2);
-        return value.toFixed(2);
+    formatValue(value, unit) {
+        return HyperionUnits.format(value, unit, 3);
     }
 
     setupSimulationControls(simulationId) {
         const playPauseBtn = document.getElementById('play-pause-btn');
         const resetBtn = document.getElementById('reset-btn');
         const exportBtn = document.getElementById('export-btn');
+        const recordBtn = document.getElementById('record-btn');
+        const importBtn = document.getElementById('import-btn');
+        const copyLinkBtn = document.getElementById('copy-link-btn');
+        const compareBtn = document.getElementById('compare-btn');
         const theoryToggle = document.getElementById('theory-toggle');
-        
-        let isPlaying = false;
+        const stepBtn = document.getElementById('step-btn');
+        const timeScale = document.getElementById('time-scale');
+        const scrubber = document.getElementById('timeline-scrubber');
         
         playPauseBtn?.addEventListener('click', () => {
-            isPlaying = !isPlaying;
-            playPauseBtn.innerHTML = isPlaying ? '⏸ Pause' : '▶ Start';
-            
-            if (isPlaying) {
-                this.startSimulation(simulationId);
-            } else {
+            if (this.animationFrameId) {
                 this.pauseSimulation(simulationId);
+            } else {
+                this.startSimulation(simulationId);
             }
         });
         
         resetBtn?.addEventListener('click', () => {
             this.resetSimulation(simulationId);
-            isPlaying = false;
-            playPauseBtn.innerHTML = '▶ Start';
+        });
+        
+        stepBtn?.addEventListener('click', () => {
+            if (!this.activeSimulation || this.animationFrameId) return;
+            this.advanceSimulation(simulationId);
+            this.drawSimulation();
+            this.updateCharts(this.updateLiveCalculations(simulationId));
+            this.updateTimeline();
+        });
+        
+        if (timeScale) {
+            timeScale.innerHTML = HyperionClock.TIME_SCALES
+                .map(scale => `<option value="${scale}">${scale}×</option>`)
+                .join('');
+            timeScale.value = this.clock.timeScale;
+            timeScale.addEventListener('change', () => this.clock.setTimeScale(timeScale.value));
+        }
+        
+        // Scrubbing pauses and restores the nearest earlier snapshot; resuming continues from there
+        scrubber?.addEventListener('input', () => {
+            const snapshot = this.clock.snapshotAt(parseFloat(scrubber.value));
+            if (!snapshot) return;
+            this.pauseSimulation(simulationId);
+            this.restoreSnapshot(simulationId, snapshot);
         });
         
         exportBtn?.addEventListener('click', () => {
             this.exportSimulation(simulationId);
         });
         
+        recordBtn?.addEventListener('click', () => {
+            if (this.capture?.recording) {
+                this.stopVideoCapture(simulationId);
+            } else {
+                this.showCaptureDialog(simulationId);
+            }
+        });
+        
+        importBtn?.addEventListener('click', () => {
+            this.showImportDialog();
+        });
+        
+        copyLinkBtn?.addEventListener('click', () => {
+            this.copyShareLink(simulationId, copyLinkBtn);
+        });
+        
+        // Both panes start from the parameters on screen
+        compareBtn?.addEventListener('click', () => {
+            const simulation = this.registry.getSimulation(simulationId);
+            const state = this.simulationStates.get(simulationId);
+            window.location.hash = this.buildComparisonRoute(simulation, [state, state]);
+        });
+        
         theoryToggle?.addEventListener('click', () => {
             const content = document.getElementById('theory-content');
             const icon = theoryToggle.querySelector('.toggle-icon');
@@ -575,57 +641,272 @@ class HyperionApp {
         });
     }
 
-    initializeSimulationState(simulationId, simulation) {
+    initializeSimulationState(simulationId, simulation, query = new URLSearchParams()) {
         const state = {};
         simulation.parameters.forEach(param => {
-            state[param.name] = param.default;
+            state[param.name] = this.readLinkParameter(param, query.get(param.key));
         });
         this.simulationStates.set(simulationId, state);
+        this.syncParameterControls(simulationId, simulation, state);
         
-        // Initialize live calculations
-        this.updateLiveCalculations(simulationId);
+        // Build a fresh engine for simulations that have one
+        this.mountSimulationEngine(simulationId, state);
+        this.restoreLinkState(simulationId, query);
+        
+        // Initialize live calculations and start the chart history
+        this.updateCharts(this.updateLiveCalculations(simulationId));
     }
 
-    updateLiveCalculations(simulationId) {
+    // Links follow the headless core's rules: clamp numbers, default anything unreadable
+    readLinkParameter(param, raw) {
+        return HyperionCore.parameterValue(param, raw);
+    }
+
+    syncParameterControls(simulationId, simulation, state) {
+        simulation.parameters.forEach(param => {
+            const paramId = this.getParameterId(simulationId, param.name);
+            const control = document.getElementById(paramId);
+            if (!control) return;
+            
+            if (param.type === 'select') {
+                control.value = state[param.name];
+            } else {
+                this.setParameterControl(control.closest('.parameter-item'), param, state[param.name]);
+            }
+        });
+    }
+
+    // Run the engine forward to the linked time, then apply view settings so the replay can't move the camera
+    restoreLinkState(simulationId, query) {
+        const engine = this.activeSimulation;
+        if (!engine) return;
+        
+        const view = {};
+        query.forEach((value, key) => {
+            if (key.startsWith('view.')) view[key.slice(5)] = parseFloat(value);
+        });
+        const applyView = () => {
+            if (Object.keys(view).length > 0) engine.setView?.(view);
+            this.drawSimulation();
+        };
+        
+        const time = Math.min(parseFloat(query.get('time')) || 0, HyperionApp.MAX_LINK_TIME);
+        if (time > 0 && engine.fastForward) {
+            engine.fastForward(time);
+            this.clock.seek(time);
+        } else if (time > 0) {
+            this.replayLink(simulationId, Math.round(time / HyperionClock.FIXED_STEP), applyView);
+            return;
+        }
+        applyView();
+    }
+
+    // Steps the engine in time-boxed slices; past the first slice a dialog shows progress and can cancel,
+    // which leaves the run at the time reached. Leaving the page or a new engine abandons the replay
+    replayLink(simulationId, steps, done) {
+        const engine = this.activeSimulation;
+        const job = { cancelled: false };
+        let status = null;
+        let overlayElement = null;
+        
+        const slice = () => {
+            if (this.activeSimulation !== engine) {
+                if (status) this.closeModal();
+                return;
+            }
+            const closed = overlayElement?.classList.contains('hidden');
+            if (!job.cancelled && !closed) {
+                const end = performance.now() + HyperionApp.LINK_REPLAY_SLICE;
+                while (this.clock.steps < steps && performance.now() < end) {
+                    this.advanceSimulation(simulationId);
+                }
+            }
+            
+            if (this.clock.steps < steps && !job.cancelled && !closed) {
+                if (!status) {
+                    this.showModal('Opening Link', `
+                        <p class="capture-note" id="replay-status"></p>
+                        <div class="import-actions">
+                            <button class="btn btn-secondary" id="replay-cancel-btn">Cancel</button>
+                        </div>
+                    `);
+                    document.getElementById('replay-cancel-btn').addEventListener('click', () => {
+                        job.cancelled = true;
+                    });
+                    status = document.getElementById('replay-status');
+                    overlayElement = document.getElementById('modal-overlay');
+                }
+                status.textContent = `Replaying to t = ${(steps * HyperionClock.FIXED_STEP).toFixed(2)} s · ${Math.floor(100 * this.clock.steps / steps)}%`;
+                setTimeout(slice, 0);
+                return;
+            }
+            
+            if (status && !closed) this.closeModal();
+            
+            // The page charted t = 0 while the replay was pending; the run resumes from the time reached
+            this.chartData?.clear();
+            done();
+            this.updateCharts(this.updateLiveCalculations(simulationId));
+            this.updateTimeline();
+        };
+        
+        setTimeout(slice, 0);
+    }
+
+    buildShareLink(simulationId) {
+        const simulation = this.registry.getSimulation(simulationId);
         const state = this.simulationStates.get(simulationId);
-        if (!state) return;
+        const query = new URLSearchParams();
         
-        // Mock calculations based on simulation type
-        const calculations = this.calculatePhysicsValues(simulationId, state);
+        simulation.parameters.forEach(param => query.set(param.key, state[param.name]));
+        if (this.clock.time > 0) query.set('time', this.clock.time.toFixed(3));
         
-        const energyValue = document.getElementById('energy-value');
-        const momentumValue = document.getElementById('momentum-value');
-        const timeValue = document.getElementById('time-value');
+        const view = this.activeSimulation?.getView?.() || {};
+        Object.entries(view).forEach(([key, value]) => query.set(`view.${key}`, parseFloat(value.toPrecision(6))));
         
-        if (energyValue) energyValue.textContent = `${calculations.energy.toFixed(2)} J`;
-        if (momentumValue) momentumValue.textContent = `${calculations.momentum.toFixed(2)} kg⋅m/s`;
-        if (timeValue) timeValue.textContent = `${calculations.time.toFixed(2)} s`;
+        const base = window.location.href.split('#')[0];
+        return `${base}#/${simulation.category}/${simulation.id}?${query}`;
     }
 
-    calculatePhysicsValues(simulationId, state) {
-        // Mock physics calculations - in a real app, these would be actual physics computations
-        const baseEnergy = Object.values(state).reduce((sum, val) => sum + val, 0);
-        const baseMomentum = Math.sqrt(baseEnergy) * 2;
-        const time = Date.now() / 1000 % 100;
+    copyShareLink(simulationId, button) {
+        const link = this.buildShareLink(simulationId);
+        const showLink = () => this.showModal('Share Simulation', `
+            <p style="margin-bottom: 1rem; color: var(--text-secondary);">
+                Copy this link to reopen the simulation with the same settings.
+            </p>
+            <input class="parameter-select" style="width: 100%;" readonly value="${link}">
+        `);
         
-        return {
-            energy: baseEnergy * Math.sin(time * 0.1) + baseEnergy,
-            momentum: baseMomentum * Math.cos(time * 0.1) + baseMomentum,
-            time: time
-        };
+        if (!navigator.clipboard) {
+            showLink();
+            return;
+        }
+        
+        navigator.clipboard.writeText(link).then(() => {
+            button.innerHTML = '✓ Copied';
+            setTimeout(() => { button.innerHTML = '🔗 Copy link'; }, 1500);
+        }, showLink);
+    }
+
+    mountSimulationEngine(simulationId, state) {
+        const simulation = this.registry.getSimulation(simulationId);
+        const canvas = document.getElementById('simulation-viewport');
+        
+        // Engines may hold workers or other resources beyond the page
+        this.activeSimulation?.dispose?.();
+        this.activeSimulation = null;
+        if (!simulation?.engine || !canvas) return;
+        
+        canvas.classList.remove('hidden');
+        document.querySelector('.canvas-placeholder')?.classList.add('hidden');
+        
+        // A fresh engine starts a fresh run; earlier samples and snapshots would restart at t = 0
+        this.clock.reset();
+        this.recorder?.clear();
+        this.chartData?.clear();
+        this.updateRecorderStatus();
+        
+        this.activeSimulation = HyperionCore.createEngine(simulationId, state);
+        
+        // Interactive engines listen on the canvas and ask for a redraw while paused
+        this.activeSimulation.onViewChange = () => this.drawSimulation();
+        this.activeSimulation.attach?.(canvas);
+        this.renderSimulationActions(simulationId);
+        
+        this.resizeSimulationCanvas();
+        this.drawSimulation();
+        
+        // The starting state is the earliest point the timeline can return to
+        this.captureSnapshot(simulationId);
+        this.updateTimeline();
+    }
+
+    renderSimulationActions(simulationId) {
+        const container = document.getElementById('simulation-actions');
+        if (!container) return;
+        
+        const actions = this.activeSimulation?.getActions?.() || [];
+        container.classList.toggle('hidden', actions.length === 0);
+        container.innerHTML = actions.map(action => `
+            <button class="btn btn-secondary" data-action="${action.id}">${action.label}</button>
+        `).join('');
+        
+        container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.activeSimulation?.runAction(button.dataset.action);
+                this.drawSimulation();
+                this.updateLiveCalculations(simulationId);
+            });
+        });
+    }
+
+    resizeSimulationCanvas() {
+        const canvas = document.getElementById('simulation-viewport');
+        if (!canvas || !this.activeSimulation) return;
+        
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(canvas.clientWidth * ratio);
+        canvas.height = Math.round(canvas.clientHeight * ratio);
+    }
+
+    drawSimulation() {
+        const canvas = document.getElementById('simulation-viewport');
+        if (!canvas || !this.activeSimulation) return;
+        
+        const ratio = window.devicePixelRatio || 1;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.activeSimulation.draw(ctx, canvas.width / ratio, canvas.height / ratio);
+        
+        // Video follows whatever is drawn on screen
+        if (this.capture?.recording) this.capture.compose();
+    }
+
+    updateLiveCalculations(simulationId) {
+        const simulation = this.registry.getSimulation(simulationId);
+        const calculationsList = document.getElementById('calculations-list');
+        if (!simulation || !calculationsList || !this.activeSimulation) return;
+        
+        // The engine supplies raw values; the registration decides how they read
+        const values = this.activeSimulation.observe();
+        simulation.observables.forEach(observable => {
+            const element = calculationsList.querySelector(`[data-observable="${observable.id}"]`);
+            if (element) element.textContent = this.registry.formatObservable(observable, values[observable.id]);
+        });
+        return values;
     }
 
     startSimulation(simulationId) {
+        this.startLoop(() => this.advanceSimulation(simulationId), () => {
+            this.drawSimulation();
+            this.updateCharts(this.updateLiveCalculations(simulationId));
+            this.updateTimeline();
+        });
+    }
+
+    // The page's one animation loop: advance() runs once per fixed step owed, render() once per frame
+    startLoop(advance, render) {
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
         }
         
-        const animate = () => {
-            this.updateLiveCalculations(simulationId);
+        this.lastFrameTime = null;
+        
+        const animate = (timestamp) => {
+            if (this.lastFrameTime !== null) {
+                // Frames only decide how many fixed steps are owed, so runs don't depend on frame rate
+                const steps = this.clock.advance((timestamp - this.lastFrameTime) / 1000);
+                for (let i = 0; i < steps; i++) {
+                    advance();
+                }
+            }
+            this.lastFrameTime = timestamp;
+            render();
             this.animationFrameId = requestAnimationFrame(animate);
         };
         
-        animate();
+        this.animationFrameId = requestAnimationFrame(animate);
+        this.updatePlaybackControls();
     }
 
     pauseSimulation(simulationId) {
@@ -633,38 +914,106 @@ class HyperionApp {
             cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
+        this.updatePlaybackControls();
+    }
+
+    updatePlaybackControls() {
+        const playPauseBtn = document.getElementById('play-pause-btn');
+        const stepBtn = document.getElementById('step-btn');
+        if (playPauseBtn) playPauseBtn.innerHTML = this.animationFrameId ? '⏸ Pause' : '▶ Start';
+        if (stepBtn) stepBtn.disabled = Boolean(this.animationFrameId);
+    }
+
+    // One fixed step of the active engine, with the snapshots and samples that fall due
+    advanceSimulation(simulationId) {
+        const engine = this.activeSimulation;
+        const clock = this.clock;
+        if (!engine) return;
+        
+        if (clock.rewound) {
+            clock.discardFuture();
+            this.recorder?.discardAfter(clock.time);
+            this.chartData?.discardAfter(clock.time);
+        }
+        
+        engine.step(HyperionClock.FIXED_STEP);
+        clock.tick();
+        
+        if (clock.snapshotDue()) this.captureSnapshot(simulationId);
+        if (this.recorder?.isDue(clock.time)) {
+            this.recorder.sample(clock.time, this.simulationStates.get(simulationId), engine.observe());
+            this.updateRecorderStatus();
+        }
+    }
+
+    // Engines opt into rewinding with serialize() / restore(); parameters are kept alongside
+    // because they may have changed since the snapshot was taken
+    captureSnapshot(simulationId) {
+        const engine = this.activeSimulation;
+        if (!engine?.serialize) return;
+        
+        this.clock.pushSnapshot({
+            parameters: { ...this.simulationStates.get(simulationId) },
+            engine: structuredClone(engine.serialize())
+        });
+    }
+
+    restoreSnapshot(simulationId, snapshot) {
+        const simulation = this.registry.getSimulation(simulationId);
+        const engine = this.activeSimulation;
+        if (!simulation || !engine) return;
+        
+        const state = { ...snapshot.parameters };
+        this.simulationStates.set(simulationId, state);
+        this.syncParameterControls(simulationId, simulation, state);
+        
+        engine.setParameters({ ...state });
+        engine.restore(structuredClone(snapshot.engine));
+        this.clock.restore(snapshot);
+        
+        this.drawSimulation();
+        this.updateLiveCalculations(simulationId);
+        this.drawCharts();
+        this.updateTimeline();
+    }
+
+    updateTimeline() {
+        const scrubber = document.getElementById('timeline-scrubber');
+        const label = document.getElementById('timeline-time');
+        if (!scrubber || !label) return;
+        
+        const clock = this.clock;
+        const canRewind = Boolean(this.activeSimulation?.serialize);
+        scrubber.disabled = !canRewind;
+        scrubber.title = canRewind ? 'Drag to rewind' : 'Rewind is not available for this simulation';
+        scrubber.min = clock.earliest;
+        scrubber.max = clock.latest;
+        scrubber.value = clock.time;
+        label.textContent = `t = ${clock.time.toFixed(2)} s`;
     }
 
     resetSimulation(simulationId) {
         this.pauseSimulation(simulationId);
         
         // Reset all parameters to defaults
-        const category = this.data.categories.find(cat => 
-            cat.simulations.some(sim => sim.id === simulationId)
-        );
-        const simulation = category?.simulations.find(sim => sim.id === simulationId);
+        const simulation = this.registry.getSimulation(simulationId);
         
         if (simulation) {
-            simulation.parameters.forEach(param => {
-                const paramId = `${simulationId}-${param.name.toLowerCase().replace(/\s+/g, '-')}`;
-                const slider = document.getElementById(paramId);
-                const valueDisplay = document.getElementById(`${paramId}-value`);
-                
-                if (slider) slider.value = param.default;
-                if (valueDisplay) valueDisplay.textContent = `${param.default} ${param.unit}`;
-            });
-            
             this.initializeSimulationState(simulationId, simulation);
         }
     }
 
-    exportSimulation(simulationId) {
-        const state = this.simulationStates.get(simulationId);
-        const exportData = {
+    buildExportData(simulationId) {
+        return {
+            schemaVersion: HyperionApp.EXPORT_SCHEMA_VERSION,
             simulationId,
-            parameters: state,
+            parameters: { ...this.simulationStates.get(simulationId) },
             timestamp: new Date().toISOString()
         };
+    }
+
+    exportSimulation(simulationId) {
+        const exportData = this.buildExportData(simulationId);
         
         this.showModal('Export Simulation', `
             <h3>Simulation Configuration</h3>
@@ -677,6 +1026,1006 @@ ${JSON.stringify(exportData, null, 2)}
         `);
     }
 
+    showCaptureDialog(simulationId) {
+        const videoType = HyperionCapture.videoType();
+        this.showModal('Record Simulation', `
+            <div class="capture-form">
+                <label>
+                    Format
+                    <select class="parameter-select" id="capture-format">
+                        <option value="webm"${videoType ? '' : ' disabled'}>WebM video, recorded live</option>
+                        <option value="png"${videoType ? '' : ' selected'}>PNG frames (zip)</option>
+                    </select>
+                </label>
+                <label>
+                    Frame rate
+                    <select class="parameter-select" id="capture-rate">
+                        ${HyperionCapture.FRAME_RATES.map(rate => `<option value="${rate}"${rate === 30 ? ' selected' : ''}>${rate} fps</option>`).join('')}
+                    </select>
+                </label>
+                <label id="capture-duration-field">
+                    Duration
+                    <input type="number" class="parameter-select" id="capture-duration" min="0.1" step="any" value="5">
+                    s of simulation time
+                </label>
+                <label class="capture-check">
+                    <input type="checkbox" id="capture-overlay">
+                    Burn parameter values and simulation time into the frames
+                </label>
+            </div>
+            <p class="capture-note" id="capture-note"></p>
+            <div class="import-actions">
+                <button class="btn btn-primary" id="capture-start-btn">Start</button>
+            </div>
+        `);
+        
+        const format = document.getElementById('capture-format');
+        const rate = document.getElementById('capture-rate');
+        const duration = document.getElementById('capture-duration');
+        const note = document.getElementById('capture-note');
+        const update = () => {
+            const frames = format.value === 'png';
+            document.getElementById('capture-duration-field').classList.toggle('hidden', !frames);
+            duration.max = HyperionCapture.MAX_FRAMES / parseFloat(rate.value);
+            note.textContent = frames
+                ? 'Frames are rendered from the current time at fixed steps of simulation time, however long each takes to draw.'
+                : 'Recording runs the simulation; press ⏹ Stop to download the video.';
+            if (!videoType) note.textContent += ' This browser cannot record WebM video.';
+        };
+        format.addEventListener('change', update);
+        rate.addEventListener('change', update);
+        update();
+        
+        document.getElementById('capture-start-btn').addEventListener('click', () => {
+            const frameRate = parseFloat(rate.value);
+            const overlay = document.getElementById('capture-overlay').checked;
+            if (format.value === 'png') {
+                const seconds = Math.min(parseFloat(duration.max), Math.max(0.1, parseFloat(duration.value) || 0));
+                this.exportFrameSequence(simulationId, frameRate, seconds, overlay);
+            } else {
+                this.closeModal();
+                this.startVideoCapture(simulationId, frameRate, overlay);
+            }
+        });
+    }
+
+    createCapture(simulationId, overlay) {
+        const canvas = document.getElementById('simulation-viewport');
+        if (!canvas || !this.activeSimulation) return null;
+        
+        const capture = new HyperionCapture(canvas);
+        capture.overlay = overlay ? () => this.overlayLines(simulationId) : null;
+        return capture;
+    }
+
+    overlayLines(simulationId) {
+        const simulation = this.registry.getSimulation(simulationId);
+        const state = this.simulationStates.get(simulationId);
+        return [
+            `${simulation.name} · t = ${this.clock.time.toFixed(2)} s`,
+            ...simulation.parameters.map(param => `${param.name}: ${this.formatValue(state[param.name], param.unit)}`)
+        ];
+    }
+
+    startVideoCapture(simulationId, frameRate, overlay) {
+        this.capture = this.createCapture(simulationId, overlay);
+        if (!this.capture) return;
+        
+        this.capture.compose();
+        this.capture.startVideo(frameRate);
+        this.updateCaptureButton();
+        if (!this.animationFrameId) this.startSimulation(simulationId);
+    }
+
+    async stopVideoCapture(simulationId) {
+        const capture = this.capture;
+        this.capture = null;
+        this.updateCaptureButton();
+        
+        const video = await capture.stopVideo();
+        this.downloadFile(this.timestampedFileName(simulationId, 'webm'), video, 'video/webm');
+    }
+
+    updateCaptureButton() {
+        const recordBtn = document.getElementById('record-btn');
+        if (recordBtn) recordBtn.innerHTML = this.capture?.recording ? '⏹ Stop' : '🎥 Record';
+    }
+
+    // Frames are spaced in simulation time, not wall-clock time, so a slow machine only makes the export take longer
+    async exportFrameSequence(simulationId, frameRate, duration, overlay) {
+        const capture = this.createCapture(simulationId, overlay);
+        if (!capture) return;
+        
+        this.pauseSimulation(simulationId);
+        this.showModal('Exporting Frames', `
+            <p class="capture-note" id="capture-status"></p>
+            <div class="import-actions">
+                <button class="btn btn-secondary" id="capture-cancel-btn">Cancel</button>
+            </div>
+        `);
+        
+        // Cancelled from the dialog, by closing it, or by leaving the page
+        const job = { cancelled: false };
+        this.frameExport = job;
+        document.getElementById('capture-cancel-btn').addEventListener('click', () => {
+            job.cancelled = true;
+            this.closeModal();
+        });
+        const status = document.getElementById('capture-status');
+        const overlayElement = document.getElementById('modal-overlay');
+        
+        const zip = new HyperionZip();
+        const frames = Math.min(HyperionCapture.MAX_FRAMES, Math.max(1, Math.round(duration * frameRate)));
+        const start = this.clock.time;
+        try {
+            for (let frame = 0; frame < frames; frame++) {
+                if (job.cancelled || overlayElement.classList.contains('hidden')) return;
+                
+                const target = start + frame / frameRate;
+                while (this.clock.time < target - 1e-9) {
+                    this.advanceSimulation(simulationId);
+                }
+                this.drawSimulation();
+                this.updateCharts(this.updateLiveCalculations(simulationId));
+                this.updateTimeline();
+                
+                capture.compose();
+                zip.add(`frame-${String(frame).padStart(5, '0')}.png`, await capture.frame());
+                status.textContent = `Frame ${frame + 1} of ${frames} · t = ${this.clock.time.toFixed(2)} s`;
+            }
+        } catch (error) {
+            status.textContent = error.message;
+            return;
+        } finally {
+            if (this.frameExport === job) this.frameExport = null;
+        }
+        
+        this.downloadFile(this.timestampedFileName(simulationId, 'zip'), zip.toBlob(), 'application/zip');
+        this.closeModal();
+    }
+
+    setupRecorder(simulation) {
+        this.recorder = new HyperionRecorder(simulation);
+        
+        const rateInput = document.getElementById('recorder-rate');
+        const toggleBtn = document.getElementById('recorder-toggle-btn');
+        if (!rateInput || !toggleBtn) return;
+        
+        rateInput.value = this.recorder.rate;
+        rateInput.addEventListener('change', () => {
+            this.recorder.setRate(rateInput.value);
+            rateInput.value = this.recorder.rate;
+        });
+        
+        toggleBtn.addEventListener('click', () => {
+            if (this.recorder.recording) {
+                this.recorder.stop();
+            } else {
+                this.recorder.start();
+            }
+            this.updateRecorderStatus();
+        });
+        
+        document.getElementById('recorder-clear-btn').addEventListener('click', () => {
+            this.recorder.clear();
+            this.updateRecorderStatus();
+        });
+        
+        // Exports carry the starting configuration so a run can be re-imported
+        document.getElementById('recorder-csv-btn').addEventListener('click', () => {
+            this.downloadFile(this.timestampedFileName(simulation.id, 'csv'), this.recorder.toCSV(), 'text/csv');
+        });
+        document.getElementById('recorder-json-btn').addEventListener('click', () => {
+            this.downloadFile(this.timestampedFileName(simulation.id, 'json'), this.recorder.toJSON(this.buildExportData(simulation.id)), 'application/json');
+        });
+        
+        this.updateRecorderStatus();
+    }
+
+    setupPresets(simulation) {
+        const select = document.getElementById('preset-select');
+        const saveBtn = document.getElementById('save-experiment-btn');
+        if (!select || !saveBtn) return;
+        
+        this.renderPresetOptions(simulation);
+        select.addEventListener('change', () => {
+            const [kind, id] = select.value.split(':');
+            select.value = '';
+            
+            // A preset is a full parameter set: anything it doesn't name goes back to its default
+            const parameters = kind === 'preset'
+                ? { ...this.defaultParameters(simulation), ...simulation.presets[id]?.parameters }
+                : HyperionExperiments.get(id)?.parameters;
+            if (!parameters) return;
+            
+            const { query } = this.validateConfiguration({ simulationId: simulation.id, parameters });
+            this.applyConfiguration(simulation, query);
+        });
+        
+        saveBtn.addEventListener('click', () => this.showSaveExperimentDialog(simulation));
+    }
+
+    defaultParameters(simulation) {
+        return HyperionCore.defaults(simulation.id);
+    }
+
+    renderPresetOptions(simulation) {
+        const select = document.getElementById('preset-select');
+        if (!select) return;
+        
+        const option = (value, label) => {
+            const element = document.createElement('option');
+            element.value = value;
+            element.textContent = label;
+            return element;
+        };
+        const group = (label, options) => {
+            const element = document.createElement('optgroup');
+            element.label = label;
+            options.forEach(item => element.appendChild(item));
+            return element;
+        };
+        
+        const experiments = HyperionExperiments.list(simulation.id);
+        select.innerHTML = '';
+        select.appendChild(option('', 'Load a preset or experiment…'));
+        if (simulation.presets.length > 0) {
+            select.appendChild(group('Presets', simulation.presets.map((preset, index) => option(`preset:${index}`, preset.name))));
+        }
+        if (experiments.length > 0) {
+            select.appendChild(group('My experiments', experiments.map(experiment => option(`experiment:${experiment.id}`, experiment.name))));
+        }
+    }
+
+    showSaveExperimentDialog(simulation) {
+        this.showNameDialog('Save Experiment', `${simulation.name} — ${new Date().toLocaleString()}`, 'Save', (name) => {
+            HyperionExperiments.save(this.buildExportData(simulation.id), name);
+            this.renderPresetOptions(simulation);
+        });
+    }
+
+    showNameDialog(title, value, confirmLabel, onConfirm) {
+        this.showModal(title, `
+            <input class="parameter-select" id="name-dialog-input" style="width: 100%; cursor: text;" maxlength="120">
+            <div class="import-actions">
+                <button class="btn btn-primary" id="name-dialog-confirm">${confirmLabel}</button>
+            </div>
+        `);
+        
+        const input = document.getElementById('name-dialog-input');
+        const confirm = () => {
+            const name = input.value.trim();
+            if (!name) return;
+            onConfirm(name);
+            this.closeModal();
+        };
+        input.value = value;
+        input.focus();
+        input.select();
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') confirm();
+        });
+        document.getElementById('name-dialog-confirm').addEventListener('click', confirm);
+    }
+
+    renderExperiments() {
+        const content = document.createElement('div');
+        content.className = 'category-page';
+        content.innerHTML = `
+            <div class="category-header">
+                <h1 class="category-title">My Experiments</h1>
+                <p class="category-description">Parameter sets saved in this browser. Save one from any simulation's Parameters panel.</p>
+            </div>
+            <div class="experiments-list" id="experiments-list"></div>
+        `;
+        
+        const list = content.querySelector('#experiments-list');
+        const experiments = HyperionExperiments.list();
+        if (experiments.length === 0) {
+            list.innerHTML = '<p class="experiments-empty">No saved experiments yet.</p>';
+        }
+        
+        experiments.forEach(experiment => {
+            const item = document.createElement('div');
+            item.className = 'experiment-item';
+            item.innerHTML = `
+                <div>
+                    <h3 class="experiment-name"></h3>
+                    <p class="experiment-meta"></p>
+                </div>
+                <div class="experiment-actions">
+                    <a class="btn btn-primary" data-role="open">Open</a>
+                    <button class="btn btn-secondary" data-role="rename">Rename</button>
+                    <button class="btn btn-secondary" data-role="delete">Delete</button>
+                </div>
+            `;
+            
+            // Links are rebuilt through validation, so experiments saved before a parameter changed still open
+            let simulation = null;
+            let query = null;
+            try {
+                ({ simulation, query } = this.validateConfiguration(experiment));
+            } catch (error) {
+                simulation = null;
+            }
+            
+            // Older or hand-made records may carry no readable save time; the date is left out then
+            const saved = new Date(experiment.updated || experiment.created);
+            const openLink = item.querySelector('[data-role="open"]');
+            item.querySelector('.experiment-name').textContent = experiment.name;
+            item.querySelector('.experiment-meta').textContent = simulation
+                ? `${simulation.name}${isNaN(saved) ? '' : ` · saved ${saved.toLocaleString()}`}`
+                : `Simulation "${experiment.simulationId}" is no longer available`;
+            if (simulation) {
+                openLink.href = `#/${simulation.category}/${simulation.id}?${query}`;
+            } else {
+                openLink.classList.add('hidden');
+            }
+            
+            item.querySelector('[data-role="rename"]').addEventListener('click', () => {
+                this.showNameDialog('Rename Experiment', experiment.name, 'Rename', (name) => {
+                    HyperionExperiments.rename(experiment.id, name);
+                    this.renderExperiments();
+                });
+            });
+            item.querySelector('[data-role="delete"]').addEventListener('click', () => {
+                this.showModal('Delete Experiment', `
+                    <p style="color: var(--text-secondary);">This removes the experiment from this browser and can't be undone.</p>
+                    <div class="import-actions">
+                        <button class="btn btn-primary" id="delete-confirm-btn">Delete</button>
+                    </div>
+                `);
+                document.getElementById('delete-confirm-btn').addEventListener('click', () => {
+                    HyperionExperiments.remove(experiment.id);
+                    this.closeModal();
+                    this.renderExperiments();
+                });
+            });
+            list.appendChild(item);
+        });
+        
+        this.setContent(content);
+    }
+
+    // Compare mode: one pane per parameter set, all stepped by the page clock.
+    // Pane parameters travel in the query under the pane's letter, e.g. a.m=1&b.m=2
+    renderComparison(categoryId, simulationId, query = new URLSearchParams()) {
+        const simulation = this.findSimulation(categoryId, simulationId);
+        
+        if (!simulation?.engine) {
+            this.render404();
+            return;
+        }
+        
+        const template = document.getElementById('compare-template');
+        const content = template.content.cloneNode(true);
+        content.querySelector('.simulation-title').textContent = `${simulation.name} — Compare`;
+        content.getElementById('single-view-link').href = `#/${simulation.category}/${simulation.id}`;
+        this.setContent(content);
+        
+        const prefixes = HyperionPane.LABELS.map(label => `${label.toLowerCase()}.`);
+        const keys = [...query.keys()];
+        const count = Math.max(2, ...prefixes.map((prefix, index) => keys.some(key => key.startsWith(prefix)) ? index + 1 : 0));
+        
+        this.clock.reset();
+        prefixes.slice(0, count).forEach(prefix => {
+            const parameters = {};
+            simulation.parameters.forEach(param => {
+                parameters[param.name] = this.readLinkParameter(param, query.get(prefix + param.key));
+            });
+            this.addPane(simulation, parameters);
+        });
+        
+        this.setupComparisonControls(simulation);
+        this.renderComparisonTable(simulation);
+    }
+
+    buildComparisonRoute(simulation, states) {
+        const query = new URLSearchParams();
+        states.forEach((state, index) => {
+            const prefix = HyperionPane.LABELS[index].toLowerCase();
+            simulation.parameters.forEach(param => query.set(`${prefix}.${param.key}`, state[param.name]));
+        });
+        return `#/${simulation.category}/${simulation.id}/compare?${query}`;
+    }
+
+    setupComparisonControls(simulation) {
+        const playPauseBtn = document.getElementById('play-pause-btn');
+        const resetBtn = document.getElementById('reset-btn');
+        const stepBtn = document.getElementById('step-btn');
+        const timeScale = document.getElementById('time-scale');
+        const addPaneBtn = document.getElementById('add-pane-btn');
+        
+        playPauseBtn?.addEventListener('click', () => {
+            if (this.animationFrameId) {
+                this.pauseSimulation();
+            } else {
+                this.startLoop(() => this.advanceComparison(), () => {
+                    this.panes.forEach(pane => pane.draw());
+                    this.updateComparison();
+                });
+            }
+        });
+        
+        resetBtn?.addEventListener('click', () => {
+            this.resetComparison();
+        });
+        
+        stepBtn?.addEventListener('click', () => {
+            if (this.animationFrameId) return;
+            this.advanceComparison();
+            this.panes.forEach(pane => pane.draw());
+            this.updateComparison();
+        });
+        
+        if (timeScale) {
+            timeScale.innerHTML = HyperionClock.TIME_SCALES
+                .map(scale => `<option value="${scale}">${scale}×</option>`)
+                .join('');
+            timeScale.value = this.clock.timeScale;
+            timeScale.addEventListener('change', () => this.clock.setTimeScale(timeScale.value));
+        }
+        
+        // A new pane copies the last one and every pane restarts, so the runs stay in step
+        addPaneBtn?.addEventListener('click', () => {
+            this.addPane(simulation, this.panes[this.panes.length - 1].state);
+            this.resetComparison();
+            this.renderComparisonTable(simulation);
+        });
+        
+        this.updatePlaybackControls();
+    }
+
+    addPane(simulation, parameters) {
+        const list = document.getElementById('compare-panes');
+        if (!list || this.panes.length >= HyperionPane.LABELS.length) return;
+        
+        this.paneSerial++;
+        const pane = new HyperionPane(simulation, `${simulation.id}-pane-${this.paneSerial}`, parameters);
+        const card = document.createElement('div');
+        card.className = 'compare-pane';
+        card.innerHTML = `
+            <div class="compare-pane-header">
+                <span class="compare-pane-label"></span>
+                <button class="chart-remove" title="Remove pane">×</button>
+            </div>
+            <div class="simulation-canvas compare-canvas">
+                <canvas class="simulation-viewport"></canvas>
+            </div>
+            <div class="simulation-actions hidden"></div>
+            <div class="parameters-list"></div>
+        `;
+        pane.element = card;
+        
+        // Control ids are scoped by the pane id, so panes never share an element
+        const parametersList = card.querySelector('.parameters-list');
+        simulation.parameters.forEach(param => {
+            const paramId = this.getParameterId(pane.id, param.name);
+            parametersList.appendChild(this.createParameterControl(param, paramId, (value) => {
+                pane.setParameter(param.name, value);
+                pane.draw();
+                this.updateComparison();
+            }));
+        });
+        card.querySelector('.chart-remove').addEventListener('click', () => this.removePane(simulation, pane));
+        
+        list.appendChild(card);
+        this.syncParameterControls(pane.id, simulation, pane.state);
+        pane.mount(card.querySelector('canvas'));
+        this.renderPaneActions(pane);
+        
+        this.panes.push(pane);
+        this.updatePaneLabels();
+    }
+
+    removePane(simulation, pane) {
+        if (this.panes.length <= 2) return;
+        
+        pane.dispose();
+        pane.element.remove();
+        this.panes = this.panes.filter(other => other !== pane);
+        this.updatePaneLabels();
+        this.renderComparisonTable(simulation);
+    }
+
+    updatePaneLabels() {
+        this.panes.forEach((pane, index) => {
+            pane.element.querySelector('.compare-pane-label').textContent = HyperionPane.LABELS[index];
+            pane.element.querySelector('.chart-remove').disabled = this.panes.length <= 2;
+        });
+        
+        const addPaneBtn = document.getElementById('add-pane-btn');
+        if (addPaneBtn) addPaneBtn.disabled = this.panes.length >= HyperionPane.LABELS.length;
+    }
+
+    renderPaneActions(pane) {
+        const container = pane.element.querySelector('.simulation-actions');
+        const actions = pane.engine?.getActions?.() || [];
+        container.classList.toggle('hidden', actions.length === 0);
+        container.innerHTML = actions.map(action => `
+            <button class="btn btn-secondary" data-action="${action.id}">${action.label}</button>
+        `).join('');
+        
+        container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                pane.engine?.runAction(button.dataset.action);
+                pane.draw();
+                this.updateComparison();
+            });
+        });
+    }
+
+    advanceComparison() {
+        this.panes.forEach(pane => pane.step(HyperionClock.FIXED_STEP));
+        this.clock.tick();
+    }
+
+    resetComparison() {
+        this.pauseSimulation();
+        this.clock.reset();
+        this.panes.forEach(pane => pane.mount(pane.canvas));
+        this.updateComparison();
+    }
+
+    // Rows are parameters then observables, one column per pane
+    renderComparisonTable(simulation) {
+        const table = document.getElementById('compare-table');
+        if (!table) return;
+        
+        const labels = this.panes.map((pane, index) => HyperionPane.LABELS[index]);
+        table.innerHTML = `<thead><tr><th></th>${labels.map(label => `<th>${label}</th>`).join('')}</tr></thead>`;
+        this.comparisonRows = [];
+        
+        const section = (title, rows) => {
+            const body = document.createElement('tbody');
+            body.innerHTML = `<tr class="compare-section"><th colspan="${labels.length + 1}">${title}</th></tr>`;
+            rows.forEach(({ label, read }) => {
+                const row = document.createElement('tr');
+                row.innerHTML = `<th></th>${labels.map(() => '<td></td>').join('')}`;
+                row.querySelector('th').textContent = label;
+                body.appendChild(row);
+                this.comparisonRows.push({ cells: [...row.querySelectorAll('td')], read });
+            });
+            table.appendChild(body);
+        };
+        
+        section('Parameters', simulation.parameters.map(param => ({
+            label: param.name,
+            read: (pane) => this.formatValue(pane.state[param.name], param.unit)
+        })));
+        section('Observables', simulation.observables.map(observable => ({
+            label: observable.label,
+            read: (pane, values) => this.registry.formatObservable(observable, values[observable.id])
+        })));
+        
+        this.updateComparison();
+    }
+
+    // Differences are judged at displayed precision, so highlights match what the table shows
+    updateComparison() {
+        const values = this.panes.map(pane => pane.observe());
+        this.comparisonRows.forEach(({ cells, read }) => {
+            const texts = this.panes.map((pane, index) => read(pane, values[index]));
+            cells.forEach((cell, index) => {
+                cell.textContent = texts[index];
+                cell.classList.toggle('differs', index > 0 && texts[index] !== texts[0]);
+            });
+        });
+        
+        const label = document.getElementById('timeline-time');
+        if (label) label.textContent = `t = ${this.clock.time.toFixed(2)} s`;
+    }
+
+    // Charts share one history of every numeric observable, so a new chart or series shows the run so far
+    setupCharts(simulation) {
+        const observables = simulation.observables.filter(observable => observable.format !== 'text');
+        this.chartData = new HyperionSeries(observables.map(observable => observable.id));
+        this.charts = [];
+        
+        const addButton = document.getElementById('add-chart-btn');
+        if (!addButton) return;
+        addButton.classList.toggle('hidden', observables.length === 0);
+        addButton.addEventListener('click', () => this.addChart(observables));
+    }
+
+    addChart(observables) {
+        const list = document.getElementById('charts-list');
+        if (!list) return;
+        
+        const card = document.createElement('div');
+        card.className = 'chart-card';
+        const options = observables.map(observable => `<option value="${observable.id}">${observable.label}</option>`).join('');
+        card.innerHTML = `
+            <div class="chart-toolbar">
+                <select class="parameter-select chart-mode">
+                    ${HyperionChart.MODES.map(mode => `<option value="${mode}">${mode}</option>`).join('')}
+                </select>
+                <select class="parameter-select chart-x hidden" title="X axis">${options}</select>
+                <select class="parameter-select chart-add">
+                    <option value="">+ Series…</option>
+                    ${options}
+                </select>
+                <span class="chart-series-list"></span>
+                <button class="chart-remove" title="Remove chart">&times;</button>
+            </div>
+            <canvas class="chart-canvas"></canvas>
+        `;
+        list.appendChild(card);
+        
+        const chart = new HyperionChart(card.querySelector('.chart-canvas'), this.chartData, observables);
+        chart.addSeries(observables[0].id);
+        this.charts.push(chart);
+        
+        const modeSelect = card.querySelector('.chart-mode');
+        const xSelect = card.querySelector('.chart-x');
+        const addSelect = card.querySelector('.chart-add');
+        const seriesList = card.querySelector('.chart-series-list');
+        
+        const renderSeries = () => {
+            seriesList.innerHTML = '';
+            chart.series.forEach(id => {
+                const chip = document.createElement('button');
+                chip.className = 'chart-series';
+                chip.style.color = chart.color(id);
+                chip.title = 'Remove series';
+                chip.textContent = `${chart.observable(id).label} ×`;
+                chip.addEventListener('click', () => {
+                    chart.removeSeries(id);
+                    renderSeries();
+                });
+                seriesList.appendChild(chip);
+            });
+            chart.draw();
+        };
+        
+        modeSelect.addEventListener('change', () => {
+            chart.mode = modeSelect.value;
+            xSelect.classList.toggle('hidden', chart.mode !== 'XY');
+            chart.draw();
+        });
+        xSelect.addEventListener('change', () => {
+            chart.x = xSelect.value;
+            chart.draw();
+        });
+        addSelect.addEventListener('change', () => {
+            chart.addSeries(addSelect.value);
+            addSelect.value = '';
+            renderSeries();
+        });
+        card.querySelector('.chart-remove').addEventListener('click', () => {
+            this.charts = this.charts.filter(other => other !== chart);
+            card.remove();
+        });
+        
+        renderSeries();
+    }
+
+    // Samples once per frame (or per single step) rather than per fixed step; plenty for plotting
+    updateCharts(values) {
+        if (!values || !this.chartData) return;
+        if (this.clock.time > this.chartData.lastTime) {
+            this.chartData.push(this.clock.time, values);
+        }
+        this.drawCharts();
+    }
+
+    drawCharts() {
+        this.charts.forEach(chart => chart.draw());
+    }
+
+    // Sweeps vary one or two numeric parameters around the values on screen
+    setupSweep(simulation) {
+        const xParam = document.getElementById('sweep-x-param');
+        const yParam = document.getElementById('sweep-y-param');
+        const metric = document.getElementById('sweep-metric');
+        const statistic = document.getElementById('sweep-statistic');
+        const runBtn = document.getElementById('sweep-run-btn');
+        if (!xParam || !yParam || !metric || !statistic || !runBtn) return;
+        
+        const numeric = simulation.parameters.filter(param => param.type !== 'select');
+        const observables = simulation.observables.filter(observable => observable.format !== 'text');
+        if (numeric.length === 0 || observables.length === 0) {
+            document.querySelector('.sweep-panel')?.classList.add('hidden');
+            return;
+        }
+        
+        const options = numeric.map(param => `<option value="${param.name}">${param.name}</option>`).join('');
+        xParam.innerHTML = options;
+        yParam.innerHTML = `<option value="">No second parameter</option>${options}`;
+        metric.innerHTML = observables.map(observable => `<option value="${observable.id}">${HyperionChart.axisLabel(observable)}</option>`).join('');
+        statistic.innerHTML = HyperionCore.SWEEP_STATISTICS.map(name => `<option value="${name}">${name}</option>`).join('');
+        document.getElementById('sweep-duration').max = HyperionApp.MAX_SWEEP_DURATION;
+        
+        // Picking a parameter resets its range to the slider's
+        const fillRange = (axis, select) => {
+            const param = numeric.find(candidate => candidate.name === select.value);
+            document.getElementById(`sweep-${axis}-range`).classList.toggle('hidden', !param);
+            if (!param) return;
+            document.getElementById(`sweep-${axis}-from`).value = param.min;
+            document.getElementById(`sweep-${axis}-to`).value = param.max;
+            const steps = document.getElementById(`sweep-${axis}-steps`);
+            steps.max = HyperionSweep.MAX_STEPS;
+            steps.value = 21;
+        };
+        xParam.addEventListener('change', () => fillRange('x', xParam));
+        yParam.addEventListener('change', () => fillRange('y', yParam));
+        fillRange('x', xParam);
+        fillRange('y', yParam);
+        
+        runBtn.addEventListener('click', () => {
+            if (this.sweep?.running) {
+                this.cancelSweep();
+            } else {
+                this.runSweep(simulation);
+            }
+        });
+    }
+
+    runSweep(simulation) {
+        const status = document.getElementById('sweep-status');
+        const progress = document.getElementById('sweep-progress');
+        const value = (id) => parseFloat(document.getElementById(id).value);
+        const axis = (prefix) => ({
+            name: document.getElementById(`sweep-${prefix}-param`).value,
+            from: value(`sweep-${prefix}-from`),
+            to: value(`sweep-${prefix}-to`),
+            steps: Math.min(HyperionSweep.MAX_STEPS, Math.max(2, Math.round(value(`sweep-${prefix}-steps`)) || 2))
+        });
+        
+        const axes = [axis('x')];
+        if (document.getElementById('sweep-y-param').value) axes.push(axis('y'));
+        if (axes.some(({ from, to }) => !isFinite(from) || !isFinite(to))) {
+            status.textContent = 'Enter a number for each end of the range';
+            return;
+        }
+        if (axes.length === 2 && axes[0].name === axes[1].name) {
+            status.textContent = 'Pick two different parameters';
+            return;
+        }
+        
+        let sweep;
+        try {
+            sweep = new HyperionSweep({
+                simulationId: simulation.id,
+                parameters: { ...this.simulationStates.get(simulation.id) },
+                axes,
+                metric: document.getElementById('sweep-metric').value,
+                statistic: document.getElementById('sweep-statistic').value,
+                duration: Math.min(HyperionApp.MAX_SWEEP_DURATION, Math.max(0, value('sweep-duration') || 0))
+            });
+        } catch (error) {
+            status.textContent = error.message;
+            return;
+        }
+        
+        this.sweep?.cancel();
+        this.sweep = sweep;
+        document.getElementById('sweep-result').classList.remove('hidden');
+        
+        // Redraw every few percent rather than for every run
+        const started = performance.now();
+        const count = sweep.grid.count;
+        const redrawEvery = Math.ceil(count / 50);
+        sweep.start({
+            progress: (completed) => {
+                progress.value = completed / count;
+                status.textContent = `${completed} of ${count} runs`;
+                if (completed % redrawEvery === 0) this.drawSweep();
+            },
+            done: () => {
+                // Runs whose metric never came out as a number are left blank in the plot; say how many
+                const blank = sweep.results.filter(result => !isFinite(result)).length;
+                status.textContent = `${count} runs in ${((performance.now() - started) / 1000).toFixed(1)} s`
+                    + (blank > 0 ? ` · ${blank} gave no value` : '');
+                this.updateSweepControls();
+                this.drawSweep();
+            },
+            error: (message) => {
+                status.textContent = message;
+                this.updateSweepControls();
+            }
+        });
+        this.updateSweepControls();
+        this.drawSweep();
+    }
+
+    // Finished runs stay on the plot
+    cancelSweep() {
+        if (!this.sweep) return;
+        this.sweep.cancel();
+        document.getElementById('sweep-status').textContent = `Cancelled after ${this.sweep.completed} of ${this.sweep.grid.count} runs`;
+        this.updateSweepControls();
+        this.drawSweep();
+    }
+
+    updateSweepControls() {
+        const runBtn = document.getElementById('sweep-run-btn');
+        const progress = document.getElementById('sweep-progress');
+        const running = Boolean(this.sweep?.running);
+        if (runBtn) runBtn.innerHTML = running ? '⏹ Cancel' : '▶ Run sweep';
+        if (progress) {
+            progress.classList.toggle('hidden', !running);
+            if (!running) progress.value = 0;
+        }
+    }
+
+    drawSweep() {
+        const canvas = document.getElementById('sweep-canvas');
+        const simulation = this.sweep && this.registry.getSimulation(this.sweep.plan.simulationId);
+        if (!canvas || !simulation) return;
+        
+        const { plan } = this.sweep;
+        const observable = simulation.observables.find(candidate => candidate.id === plan.metric);
+        const axisLabel = (name) => {
+            const param = simulation.parameters.find(candidate => candidate.name === name);
+            return param.unit ? `${name} (${param.unit})` : name;
+        };
+        this.sweep.draw(canvas, `${plan.statistic} ${HyperionChart.axisLabel(observable)}`, plan.axes.map(axis => axisLabel(axis.name)));
+    }
+
+    updateRecorderStatus() {
+        const recorder = this.recorder;
+        const status = document.getElementById('recorder-status');
+        const toggleBtn = document.getElementById('recorder-toggle-btn');
+        if (!recorder || !status) return;
+        
+        toggleBtn.innerHTML = recorder.recording ? '⏹ Stop' : '⏺ Record';
+        toggleBtn.classList.toggle('recording', recorder.recording);
+        ['recorder-csv-btn', 'recorder-json-btn'].forEach(id => {
+            document.getElementById(id).disabled = recorder.size === 0;
+        });
+        
+        let text = `${recorder.size} / ${HyperionRecorder.CAPACITY} samples`;
+        if (recorder.dropped > 0) text += ` · ${recorder.dropped} oldest dropped`;
+        status.textContent = text;
+    }
+
+    timestampedFileName(simulationId, extension) {
+        return `${simulationId}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+    }
+
+    // text may also be a Blob
+    downloadFile(fileName, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    showImportDialog() {
+        this.showModal('Import Simulation', `
+            <p style="margin-bottom: 1rem; color: var(--text-secondary);">
+                Paste an exported configuration or drop its JSON file below.
+            </p>
+            <textarea class="import-input" id="import-input" spellcheck="false" placeholder='{ "simulationId": "...", "parameters": { ... } }'></textarea>
+            <div class="import-actions">
+                <button class="btn btn-primary" id="import-apply-btn">Apply</button>
+                <input type="file" id="import-file" accept=".json,application/json">
+            </div>
+            <ul class="import-report hidden" id="import-report"></ul>
+        `);
+        
+        const input = document.getElementById('import-input');
+        const loadFile = (file) => {
+            if (file) file.text().then(text => { input.value = text; });
+        };
+        
+        input.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            input.classList.add('dragover');
+        });
+        input.addEventListener('dragleave', () => input.classList.remove('dragover'));
+        input.addEventListener('drop', (e) => {
+            e.preventDefault();
+            input.classList.remove('dragover');
+            loadFile(e.dataTransfer.files[0]);
+        });
+        document.getElementById('import-file').addEventListener('change', (e) => loadFile(e.target.files[0]));
+        document.getElementById('import-apply-btn').addEventListener('click', () => this.importConfiguration(input.value));
+    }
+
+    importConfiguration(text) {
+        const report = document.getElementById('import-report');
+        const showReport = (lines, isError) => {
+            report.innerHTML = '';
+            lines.forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                report.appendChild(item);
+            });
+            report.classList.toggle('error', isError);
+            report.classList.remove('hidden');
+        };
+        
+        let result;
+        try {
+            result = this.parseConfiguration(text);
+        } catch (error) {
+            showReport([error.message], true);
+            return;
+        }
+        
+        const { simulation, query, notes } = result;
+        this.applyConfiguration(simulation, query);
+        
+        if (notes.length > 0) {
+            showReport([`Imported ${simulation.name} with adjustments:`, ...notes], false);
+        } else {
+            this.closeModal();
+        }
+    }
+
+    // Applied in place when the simulation is on screen, otherwise by navigating to it
+    applyConfiguration(simulation, query) {
+        const path = `/${simulation.category}/${simulation.id}`;
+        if (this.currentRoute.split('?')[0] === path) {
+            this.pauseSimulation(simulation.id);
+            this.initializeSimulationState(simulation.id, simulation, query);
+        } else {
+            window.location.hash = `#${path}?${query}`;
+        }
+    }
+
+    parseConfiguration(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not valid JSON: ' + error.message);
+        }
+        return this.validateConfiguration(data);
+    }
+
+    // Checks an export against the catalog; values become link parameters so they get the same clamping
+    validateConfiguration(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Expected an exported configuration object');
+        }
+        
+        const version = data.schemaVersion ?? 1;
+        if (!Number.isInteger(version) || version < 1 || version > HyperionApp.EXPORT_SCHEMA_VERSION) {
+            throw new Error(`Unsupported schema version ${version}; this version of HYPERION reads 1–${HyperionApp.EXPORT_SCHEMA_VERSION}`);
+        }
+        
+        const simulation = this.registry.getSimulation(data.simulationId);
+        if (!simulation) {
+            throw new Error(`Unknown simulation "${data.simulationId}"`);
+        }
+        if (!data.parameters || typeof data.parameters !== 'object') {
+            throw new Error('Configuration has no parameters');
+        }
+        
+        const query = new URLSearchParams();
+        const notes = [];
+        simulation.parameters.forEach(param => {
+            const raw = data.parameters[param.name];
+            if (raw === undefined) {
+                notes.push(`${param.name}: missing, using default ${param.default}`);
+                return;
+            }
+            
+            const value = param.type === 'select' ? String(raw) : parseFloat(raw);
+            if (param.type === 'select' ? !param.options.includes(value) : !isFinite(value)) {
+                notes.push(`${param.name}: "${raw}" is not a valid value, using default ${param.default}`);
+                return;
+            }
+            if (param.type !== 'select' && (value < param.min || value > param.max)) {
+                notes.push(`${param.name}: ${value} is outside ${param.min}–${param.max}, clamped`);
+            }
+            query.set(param.key, value);
+        });
+        
+        Object.keys(data.parameters)
+            .filter(name => !simulation.parameters.some(param => param.name === name))
+            .forEach(name => notes.push(`${name}: not a parameter of ${simulation.name}, ignored`));
+        
+        return { simulation, query, notes };
+    }
+
     render404() {
         const content = document.createElement('div');
         content.innerHTML = `
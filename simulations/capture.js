@@ -0,0 +1,188 @@
+// HYPERION - Canvas capture
+// WebM video of the live canvas via MediaRecorder, and PNG frame sequences packed into a zip
+
+class HyperionZip {
+    static CRC_TABLE = null;
+
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    static crc32(bytes) {
+        if (!HyperionZip.CRC_TABLE) {
+            HyperionZip.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                HyperionZip.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        const table = HyperionZip.CRC_TABLE;
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // MS-DOS time and date fields
+    static dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // Stored without compression: PNG data is already deflated
+    add(name, bytes, modified = new Date()) {
+        const nameBytes = new TextEncoder().encode(name);
+        const { time, date } = HyperionZip.dosDateTime(modified);
+        const entry = { nameBytes, time, date, crc: HyperionZip.crc32(bytes), size: bytes.length, offset: this.offset };
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, entry.crc, true);
+        header.setUint32(18, entry.size, true);
+        header.setUint32(22, entry.size, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.parts.push(header, nameBytes, bytes);
+        this.entries.push(entry);
+        this.offset += 30 + nameBytes.length + bytes.length;
+    }
+
+    toBlob() {
+        const central = [];
+        let size = 0;
+        this.entries.forEach(entry => {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, 20, true);
+            record.setUint16(6, 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.offset, true);
+            central.push(record, entry.nameBytes);
+            size += 46 + entry.nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, size, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...central, end], { type: 'application/zip' });
+    }
+}
+
+class HyperionCapture {
+    static FRAME_RATES = [24, 30, 60];
+    static MAX_FRAMES = 3600;
+    static VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    static BACKGROUND = '#0a0a0a';
+
+    // Frames are composed on a canvas of their own, so the overlay never shows on screen.
+    // overlay, when set, returns lines of text burnt into the top-left corner of each frame
+    constructor(source) {
+        this.source = source;
+        this.overlay = null;
+        this.canvas = document.createElement('canvas');
+        this.recorder = null;
+        this.chunks = [];
+    }
+
+    // Best WebM type this browser can record, or null without MediaRecorder
+    static videoType() {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+        return HyperionCapture.VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type)) ?? null;
+    }
+
+    get recording() {
+        return this.recorder !== null;
+    }
+
+    compose() {
+        const { source, canvas } = this;
+        if (canvas.width !== source.width || canvas.height !== source.height) {
+            canvas.width = source.width;
+            canvas.height = source.height;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = HyperionCapture.BACKGROUND;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(source, 0, 0);
+
+        if (this.overlay) {
+            const ratio = source.clientWidth > 0 ? source.width / source.clientWidth : 1;
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            HyperionCapture.drawOverlay(ctx, this.overlay());
+        }
+    }
+
+    static drawOverlay(ctx, lines) {
+        ctx.font = HyperionCanvas.font(12);
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(8, 8, width + 16, lines.length * 16 + 10);
+        HyperionCanvas.legend(ctx, 16, 14, lines.map(text => ({ text, color: '#ffffff' })));
+    }
+
+    startVideo(frameRate) {
+        this.chunks = [];
+        this.recorder = new MediaRecorder(this.canvas.captureStream(frameRate), { mimeType: HyperionCapture.videoType() });
+        this.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        };
+        this.recorder.start(1000);
+    }
+
+    stopVideo() {
+        const recorder = this.recorder;
+        this.recorder = null;
+        return new Promise(resolve => {
+            recorder.onstop = () => resolve(new Blob(this.chunks, { type: 'video/webm' }));
+            recorder.stop();
+        });
+    }
+
+    // Drops the recording, e.g. when leaving the page mid-capture
+    cancel() {
+        if (!this.recorder) return;
+        this.recorder.onstop = null;
+        this.recorder.stop();
+        this.recorder = null;
+        this.chunks = [];
+    }
+
+    async frame() {
+        const blob = await new Promise(resolve => this.canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error('The browser could not encode a PNG frame');
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+}
+
+// Node loads this for its checks; only the zip writer works outside a browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HyperionZip, HyperionCapture };
+}
@@ -0,0 +1,38 @@
+// HYPERION - Built-in simulation categories
+// Simulation modules name one of these ids in their registration
+
+HyperionRegistry.defineCategory({
+    "id": "core-mechanics",
+    "name": "Core Mechanics",
+    "complexity": 3,
+    "color": "#00bfff",
+    "icon": "⚙️",
+    "description": "Fundamental physics principles and classical mechanics"
+});
+
+HyperionRegistry.defineCategory({
+    "id": "gravity-systems",
+    "name": "Gravity Systems",
+    "complexity": 7,
+    "color": "#00ff41",
+    "icon": "🌍",
+    "description": "Gravitational interactions and orbital mechanics"
+});
+
+HyperionRegistry.defineCategory({
+    "id": "chaos-theory",
+    "name": "Chaos Theory",
+    "complexity": 8,
+    "color": "#8a2be2",
+    "icon": "🌀",
+    "description": "Complex dynamical systems and chaotic behavior"
+});
+
+HyperionRegistry.defineCategory({
+    "id": "quantum-physics",
+    "name": "Quantum Physics",
+    "complexity": 9,
+    "color": "#ff6b6b",
+    "icon": "⚛️",
+    "description": "Quantum mechanical phenomena and wave functions"
+});
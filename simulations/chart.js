@@ -0,0 +1,343 @@
+// HYPERION - Live charts
+// Observable history in fixed-size ring buffers, drawn as scrolling time plots or XY (phase-space) plots
+
+class HyperionSeries {
+    static CAPACITY = 50000;
+
+    constructor(ids, capacity = HyperionSeries.CAPACITY) {
+        this.capacity = capacity;
+        this.time = new Float64Array(capacity);
+        this.columns = new Map(ids.map(id => [id, new Float64Array(capacity)]));
+        this.clear();
+    }
+
+    clear() {
+        this.start = 0;
+        this.length = 0;
+        this.bounds = new Map([...this.columns.keys()].map(id => [id, { min: Infinity, max: -Infinity }]));
+        this.boundsDirty = false;
+    }
+
+    get lastTime() {
+        return this.length > 0 ? this.timeAt(this.length - 1) : -Infinity;
+    }
+
+    index(i) {
+        return (this.start + i) % this.capacity;
+    }
+
+    timeAt(i) {
+        return this.time[this.index(i)];
+    }
+
+    valueAt(id, i) {
+        return this.columns.get(id)[this.index(i)];
+    }
+
+    // Status words and missing values are stored as NaN and show as gaps
+    push(time, values) {
+        let slot;
+        if (this.length < this.capacity) {
+            slot = this.index(this.length);
+            this.length++;
+        } else {
+            slot = this.start;
+            this.start = (this.start + 1) % this.capacity;
+        }
+
+        this.time[slot] = time;
+        this.columns.forEach((column, id) => {
+            const value = typeof values[id] === 'number' ? values[id] : NaN;
+            column[slot] = value;
+
+            // Bounds only widen; once the ring wraps they may include overwritten points, which only loosens the scale
+            const bounds = this.bounds.get(id);
+            if (value < bounds.min) bounds.min = value;
+            if (value > bounds.max) bounds.max = value;
+        });
+    }
+
+    discardAfter(time) {
+        const length = this.length;
+        while (this.length > 0 && this.timeAt(this.length - 1) > time + 1e-9) {
+            this.length--;
+        }
+        if (this.length !== length) this.boundsDirty = true;
+    }
+
+    // [min, max] over ids for indices [from, to); the whole buffer uses the running bounds
+    range(ids, from = 0, to = this.length) {
+        const whole = from === 0 && to === this.length;
+        if (whole && this.boundsDirty) {
+            this.bounds.forEach((bounds, id) => {
+                [bounds.min, bounds.max] = this.scan(id, 0, this.length);
+            });
+            this.boundsDirty = false;
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        ids.forEach(id => {
+            const [low, high] = whole ? [this.bounds.get(id).min, this.bounds.get(id).max] : this.scan(id, from, to);
+            min = Math.min(min, low);
+            max = Math.max(max, high);
+        });
+        return [min, max];
+    }
+
+    scan(id, from, to) {
+        const column = this.columns.get(id);
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = from, j = this.index(from); i < to; i++) {
+            const value = column[j];
+            if (value < min) min = value;
+            if (value > max) max = value;
+            if (++j === this.capacity) j = 0;
+        }
+        return [min, max];
+    }
+
+    // First index with time ≥ t; times are increasing because rewinds discard the abandoned branch
+    search(t) {
+        let lo = 0;
+        let hi = this.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.timeAt(mid) < t) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+}
+
+class HyperionChart {
+    static MODES = ['Scrolling', 'Full run', 'XY'];
+    static WINDOW = 20;
+    static HEIGHT = 220;
+    static PALETTE = ['#00bfff', '#00ff41', '#ff6b6b', '#ffb347', '#9966cc', '#ff9ff3'];
+
+    // observables: the simulation's declared observables; series ids must be among them
+    constructor(canvas, store, observables) {
+        this.canvas = canvas;
+        this.store = store;
+        this.observables = observables;
+        this.mode = 'Scrolling';
+        this.x = observables[0]?.id ?? null;
+        this.series = [];
+    }
+
+    observable(id) {
+        return this.observables.find(observable => observable.id === id);
+    }
+
+    static axisLabel(observable) {
+        if (!observable) return '';
+        return observable.unit ? `${observable.label} (${observable.unit})` : observable.label;
+    }
+
+    addSeries(id) {
+        if (this.observable(id) && !this.series.includes(id)) this.series.push(id);
+    }
+
+    removeSeries(id) {
+        this.series = this.series.filter(series => series !== id);
+    }
+
+    color(id) {
+        const { PALETTE } = HyperionChart;
+        return PALETTE[this.series.indexOf(id) % PALETTE.length];
+    }
+
+    // Match the backing store to the element's size at device resolution
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = HyperionChart.HEIGHT;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+            this.canvas.style.height = `${height}px`;
+        }
+        return { width, height, ratio };
+    }
+
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height, ratio } = this.resize();
+        if (!ctx || width === 0) return;
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        HyperionCanvas.clear(ctx, width, height);
+        const rect = { x: 0, y: 0, width, height };
+
+        if (this.series.length === 0 || this.store.length === 0) {
+            HyperionCanvas.panel(ctx, rect, this.series.length === 0 ? 'Add a series to plot' : 'Waiting for data…');
+            return;
+        }
+
+        if (this.mode === 'XY') {
+            this.drawPhase(ctx, rect);
+        } else {
+            this.drawTime(ctx, rect);
+        }
+    }
+
+    // Visible index range for the time modes
+    visibleRange() {
+        const store = this.store;
+        const end = store.lastTime;
+        if (this.mode === 'Full run') {
+            return { from: 0, to: store.length, tMin: store.timeAt(0), tMax: end };
+        }
+        const tMin = Math.max(store.timeAt(0), end - HyperionChart.WINDOW);
+        return { from: store.search(tMin), to: store.length, tMin, tMax: Math.max(end, tMin + HyperionChart.WINDOW) };
+    }
+
+    drawTime(ctx, rect) {
+        const store = this.store;
+        const { from, to, tMin, tMax } = this.visibleRange();
+
+        const [min, max] = store.range(this.series, from, to);
+        const plot = HyperionCanvas.axes(ctx, rect, [tMin, tMax > tMin ? tMax : tMin + 1], HyperionChart.paddedRange(min, max), {
+            xLabel: 't (s)',
+            yLabel: this.unitLabel()
+        });
+        this.series.forEach(id => {
+            this.decimatedLine(ctx, plot, id, from, to);
+        });
+        this.legend(ctx, plot);
+    }
+
+    // At most one vertical min–max segment per pixel column, so cost follows width, not point count
+    decimatedLine(ctx, plot, id, from, to) {
+        const { inner, sx, sy } = plot;
+        const store = this.store;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(inner.x, inner.y, inner.width, inner.height);
+        ctx.clip();
+        ctx.strokeStyle = this.color(id);
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+
+        let column = null;
+        let first = 0;
+        let last = 0;
+        let low = 0;
+        let high = 0;
+        let penDown = false;
+        const flush = () => {
+            if (column === null) return;
+            if (penDown) ctx.lineTo(column, sy(first));
+            else ctx.moveTo(column, sy(first));
+            if (low !== high) {
+                ctx.lineTo(column, sy(low));
+                ctx.lineTo(column, sy(high));
+            }
+            ctx.lineTo(column, sy(last));
+            penDown = true;
+        };
+
+        const values = store.columns.get(id);
+        const times = store.time;
+        for (let i = from, j = store.index(from); i < to; i++, j = j + 1 === store.capacity ? 0 : j + 1) {
+            const value = values[j];
+            if (!isFinite(value)) {
+                flush();
+                column = null;
+                penDown = false;
+                continue;
+            }
+
+            const px = Math.round(sx(times[j]));
+            if (px !== column) {
+                flush();
+                column = px;
+                first = last = low = high = value;
+            } else {
+                last = value;
+                if (value < low) low = value;
+                if (value > high) high = value;
+            }
+        }
+        flush();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawPhase(ctx, rect) {
+        const store = this.store;
+        const xId = this.x;
+        const [xMin, xMax] = store.range([xId]);
+        const [yMin, yMax] = store.range(this.series);
+
+        const plot = HyperionCanvas.axes(ctx, rect, HyperionChart.paddedRange(xMin, xMax), HyperionChart.paddedRange(yMin, yMax), {
+            xLabel: HyperionChart.axisLabel(this.observable(xId)),
+            yLabel: this.unitLabel()
+        });
+        const { inner, sx, sy } = plot;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(inner.x, inner.y, inner.width, inner.height);
+        ctx.clip();
+        this.series.forEach(id => {
+            ctx.strokeStyle = this.color(id);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+
+            // Consecutive points in the same pixel add nothing to the path
+            const xs = store.columns.get(xId);
+            const ys = store.columns.get(id);
+            let lastX = null;
+            let lastY = null;
+            for (let i = 0, j = store.start; i < store.length; i++, j = j + 1 === store.capacity ? 0 : j + 1) {
+                const x = xs[j];
+                const y = ys[j];
+                if (!isFinite(x) || !isFinite(y)) {
+                    lastX = null;
+                    continue;
+                }
+                const px = Math.round(sx(x));
+                const py = Math.round(sy(y));
+                if (px === lastX && py === lastY) continue;
+                if (lastX === null) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+                lastX = px;
+                lastY = py;
+            }
+            ctx.stroke();
+        });
+        ctx.restore();
+
+        // Current state
+        const end = store.length - 1;
+        this.series.forEach(id => {
+            const x = store.valueAt(xId, end);
+            const y = store.valueAt(id, end);
+            if (isFinite(x) && isFinite(y)) HyperionCanvas.marker(ctx, plot, x, y, this.color(id), 3);
+        });
+        this.legend(ctx, plot);
+    }
+
+    // Shared unit when every series agrees, otherwise left to the legend
+    unitLabel() {
+        const units = new Set(this.series.map(id => this.observable(id)?.unit || ''));
+        return units.size === 1 ? [...units][0] : '';
+    }
+
+    legend(ctx, plot) {
+        HyperionCanvas.legend(ctx, plot.inner.x + 8, plot.inner.y + 6, this.series.map(id => ({
+            text: HyperionChart.axisLabel(this.observable(id)),
+            color: this.color(id)
+        })));
+    }
+
+    static paddedRange(min, max) {
+        if (!isFinite(min) || !isFinite(max)) return [-1, 1];
+        const span = max - min || Math.max(Math.abs(max), 1) * 0.1;
+        return [min - span * 0.08, max + span * 0.08];
+    }
+}
@@ -0,0 +1,97 @@
+// HYPERION - Simulation clock
+// Fixed-step accumulator decoupled from the frame rate, with a ring of snapshots for rewinding
+
+class HyperionClock {
+    static FIXED_STEP = 1 / 60;
+    static MAX_FRAME = 0.05;
+    static SNAPSHOT_INTERVAL = 0.5;
+    static SNAPSHOT_CAPACITY = 240;
+    static TIME_SCALES = [0.1, 0.25, 0.5, 1, 2, 4];
+
+    constructor() {
+        this.timeScale = 1;
+        this.reset();
+    }
+
+    reset() {
+        this.steps = 0;
+        this.accumulator = 0;
+        this.snapshots = [];
+        this.rewound = false;
+    }
+
+    // Counted in whole steps so time never drifts with frame timing
+    get time() {
+        return this.steps * HyperionClock.FIXED_STEP;
+    }
+
+    get earliest() {
+        return this.snapshots[0]?.time ?? 0;
+    }
+
+    get latest() {
+        return Math.max(this.time, this.snapshots[this.snapshots.length - 1]?.time ?? 0);
+    }
+
+    setTimeScale(scale) {
+        const value = parseFloat(scale);
+        if (isFinite(value) && value > 0) this.timeScale = value;
+    }
+
+    // Number of fixed steps owed for a frame of real time; long frames (e.g. a background tab) are capped
+    // so a slow engine falls behind real time instead of spiralling
+    advance(realSeconds) {
+        const { FIXED_STEP, MAX_FRAME } = HyperionClock;
+        this.accumulator += Math.min(realSeconds, MAX_FRAME) * this.timeScale;
+        const steps = Math.floor(this.accumulator / FIXED_STEP + 1e-9);
+        this.accumulator = Math.max(0, this.accumulator - steps * FIXED_STEP);
+        return steps;
+    }
+
+    tick() {
+        this.steps++;
+    }
+
+    // Jump without stepping, for engines that fast-forward on their own
+    seek(time) {
+        this.steps = Math.round(time / HyperionClock.FIXED_STEP);
+        this.accumulator = 0;
+    }
+
+    snapshotDue() {
+        const interval = Math.round(HyperionClock.SNAPSHOT_INTERVAL / HyperionClock.FIXED_STEP);
+        return this.steps % interval === 0;
+    }
+
+    pushSnapshot(snapshot) {
+        this.snapshots.push({ ...snapshot, steps: this.steps, time: this.time });
+        if (this.snapshots.length > HyperionClock.SNAPSHOT_CAPACITY) this.snapshots.shift();
+    }
+
+    // Latest snapshot at or before the given time
+    snapshotAt(time) {
+        let found = this.snapshots[0] ?? null;
+        for (const snapshot of this.snapshots) {
+            if (snapshot.time > time + 1e-9) break;
+            found = snapshot;
+        }
+        return found;
+    }
+
+    restore(snapshot) {
+        this.steps = snapshot.steps;
+        this.accumulator = 0;
+        this.rewound = true;
+    }
+
+    // Stepping on from a rewound state starts a new branch; the old future is dropped
+    discardFuture() {
+        this.snapshots = this.snapshots.filter(snapshot => snapshot.steps <= this.steps);
+        this.rewound = false;
+    }
+}
+
+// Node loads this through core.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HyperionClock;
+}
@@ -0,0 +1,206 @@
+// HYPERION - Shared canvas helpers for simulation renderers
+
+const HyperionCanvas = {
+    colors: {
+        blue: '#00bfff',
+        blueLight: '#4da6ff',
+        green: '#00ff41',
+        purple: '#8a2be2',
+        purpleLight: '#9966cc',
+        red: '#ff6b6b',
+        orange: '#ffb347',
+        text: '#b0b0b0',
+        muted: '#666666',
+        grid: 'rgba(255, 255, 255, 0.06)',
+        axis: 'rgba(255, 255, 255, 0.3)',
+        panel: 'rgba(255, 255, 255, 0.03)'
+    },
+
+    font(size = 11) {
+        return `${size}px 'SF Mono', 'Monaco', 'Cascadia Code', 'Roboto Mono', monospace`;
+    },
+
+    // Linear map from a data interval onto a pixel interval
+    scale(domainMin, domainMax, rangeMin, rangeMax) {
+        const span = domainMax - domainMin || 1;
+        return value => rangeMin + (value - domainMin) / span * (rangeMax - rangeMin);
+    },
+
+    // Round tick spacing to 1, 2 or 5 × 10ⁿ
+    ticks(min, max, count = 5) {
+        const span = max - min;
+        if (!(span > 0) || !isFinite(span)) return [min];
+
+        const raw = span / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= raw);
+        const ticks = [];
+        for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) {
+            ticks.push(Math.abs(t) < step * 1e-9 ? 0 : t);
+        }
+        return ticks;
+    },
+
+    formatTick(value) {
+        if (value === 0) return '0';
+        const abs = Math.abs(value);
+        if (abs >= 1e4 || abs < 1e-2) return value.toExponential(0);
+        return parseFloat(value.toPrecision(3)).toString();
+    },
+
+    // Symmetric or padded range that always contains the data
+    range(values, { symmetric = false, padding = 0.1, minSpan = 1e-9 } = {}) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of values) {
+            if (!isFinite(value)) continue;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        if (min === Infinity) return [-1, 1];
+
+        if (symmetric) {
+            const extent = Math.max(Math.abs(min), Math.abs(max), minSpan) * (1 + padding);
+            return [-extent, extent];
+        }
+
+        const span = Math.max(max - min, minSpan);
+        return [min - span * padding, max + span * padding];
+    },
+
+    clear(ctx, width, height) {
+        ctx.clearRect(0, 0, width, height);
+    },
+
+    panel(ctx, rect, title) {
+        ctx.fillStyle = this.colors.panel;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        ctx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1);
+
+        if (title) {
+            ctx.fillStyle = this.colors.text;
+            ctx.font = this.font(11);
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(title, rect.x + 8, rect.y + 6);
+        }
+    },
+
+    // Draws grid, ticks and labels; returns the inner plot area and its data→pixel maps
+    axes(ctx, rect, xRange, yRange, { title = '', xLabel = '', yLabel = '' } = {}) {
+        this.panel(ctx, rect, title);
+
+        const inner = {
+            x: rect.x + 48,
+            y: rect.y + 24,
+            width: rect.width - 60,
+            height: rect.height - 48
+        };
+        const sx = this.scale(xRange[0], xRange[1], inner.x, inner.x + inner.width);
+        const sy = this.scale(yRange[0], yRange[1], inner.y + inner.height, inner.y);
+
+        ctx.font = this.font(10);
+        ctx.lineWidth = 1;
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        this.ticks(xRange[0], xRange[1]).forEach(tick => {
+            const px = Math.round(sx(tick)) + 0.5;
+            ctx.strokeStyle = this.colors.grid;
+            ctx.beginPath();
+            ctx.moveTo(px, inner.y);
+            ctx.lineTo(px, inner.y + inner.height);
+            ctx.stroke();
+            ctx.fillStyle = this.colors.muted;
+            ctx.fillText(this.formatTick(tick), px, inner.y + inner.height + 4);
+        });
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        this.ticks(yRange[0], yRange[1], 4).forEach(tick => {
+            const py = Math.round(sy(tick)) + 0.5;
+            ctx.strokeStyle = this.colors.grid;
+            ctx.beginPath();
+            ctx.moveTo(inner.x, py);
+            ctx.lineTo(inner.x + inner.width, py);
+            ctx.stroke();
+            ctx.fillStyle = this.colors.muted;
+            ctx.fillText(this.formatTick(tick), inner.x - 4, py);
+        });
+
+        ctx.strokeStyle = this.colors.axis;
+        ctx.strokeRect(inner.x + 0.5, inner.y + 0.5, inner.width, inner.height);
+
+        ctx.fillStyle = this.colors.text;
+        if (xLabel) {
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(xLabel, rect.x + rect.width - 8, rect.y + rect.height - 2);
+        }
+        if (yLabel) {
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            ctx.fillText(yLabel, rect.x + rect.width - 8, rect.y + 6);
+        }
+
+        return { inner, sx, sy };
+    },
+
+    // Polyline through (xs[i], ys[i]) clipped to the plot area
+    line(ctx, plot, xs, ys, color, width = 1.5) {
+        const { inner, sx, sy } = plot;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(inner.x, inner.y, inner.width, inner.height);
+        ctx.clip();
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        let penDown = false;
+        for (let i = 0; i < xs.length; i++) {
+            const x = xs[i];
+            const y = ys[i];
+            if (!isFinite(x) || !isFinite(y)) {
+                penDown = false;
+                continue;
+            }
+            if (penDown) {
+                ctx.lineTo(sx(x), sy(y));
+            } else {
+                ctx.moveTo(sx(x), sy(y));
+                penDown = true;
+            }
+        }
+        ctx.stroke();
+        ctx.restore();
+    },
+
+    marker(ctx, plot, x, y, color, radius = 4) {
+        ctx.fillStyle = color;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 10;
+        ctx.beginPath();
+        ctx.arc(plot.sx(x), plot.sy(y), radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    },
+
+    // Stacked "label: value" lines in the top-left of a rect
+    legend(ctx, x, y, lines) {
+        ctx.font = this.font(11);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, index) => {
+            ctx.fillStyle = line.color || this.colors.text;
+            ctx.fillText(line.text, x, y + index * 15);
+        });
+    }
+};
+
+// Node loads this through core.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HyperionCanvas;
+}
@@ -0,0 +1,271 @@
+// HYPERION - Headless core
+// DOM-free runs of the registered simulations: create, step, observe, serialize.
+// Loads as a classic script in the page and as a CommonJS module in Node:
+//
+//     const HyperionCore = require('./simulations/core.js');
+//     const run = HyperionCore.create('harmonic-oscillator', { 'Mass': 2 });
+//     run.advance(10);
+//     run.observe();                        // { energy, momentum, time, ... }
+//     run.record(10, 30).toCSV();           // 30 Hz dataset of the next 10 s
+//
+// Runs step synchronously, so their engines are created headless: no workers, everything on this thread
+
+// One engine instance and the time it has been stepped; dt is page seconds, as the page clock steps it
+class HyperionRun {
+    constructor(simulation, parameters, options) {
+        this.simulation = simulation;
+        this.parameters = parameters;
+        this.time = 0;
+        this.engine = HyperionCore.createEngine(simulation.id, parameters, options);
+    }
+
+    // Values by parameter name; the rest keep their current values
+    setParameters(values) {
+        this.parameters = HyperionCore.resolveParameters(this.simulation, { ...this.parameters, ...values });
+        this.engine.setParameters({ ...this.parameters });
+        return this;
+    }
+
+    step(dt = HyperionClock.FIXED_STEP) {
+        this.engine.step(dt);
+        this.time += dt;
+        return this;
+    }
+
+    advance(seconds, dt = HyperionClock.FIXED_STEP) {
+        const steps = Math.round(seconds / dt);
+        for (let i = 0; i < steps; i++) {
+            this.step(dt);
+        }
+        return this;
+    }
+
+    // Raw values by observable id
+    observe() {
+        return { ...this.engine.observe() };
+    }
+
+    // Values as the page shows them, by observable id
+    format() {
+        const values = this.engine.observe();
+        return Object.fromEntries(this.simulation.observables.map(observable => [
+            observable.id,
+            HyperionRegistry.formatObservable(observable, values[observable.id])
+        ]));
+    }
+
+    // Samples of the next stretch of time, with the recorder's columns and CSV / JSON output
+    record(seconds, rate = HyperionRecorder.DEFAULT_RATE, dt = HyperionClock.FIXED_STEP) {
+        const recorder = new HyperionRecorder(this.simulation);
+        recorder.setRate(rate);
+        recorder.start();
+        recorder.sample(0, this.parameters, this.engine.observe());
+
+        const steps = Math.round(seconds / dt);
+        for (let i = 1; i <= steps; i++) {
+            this.step(dt);
+            recorder.sample(i * dt, this.parameters, this.engine.observe());
+        }
+        recorder.stop();
+        return recorder;
+    }
+
+    get serializable() {
+        return typeof this.engine.serialize === 'function';
+    }
+
+    // Plain data, safe to store or send; restore() on a run of the same simulation resumes from it.
+    // null for engines without serialize(); check serializable first to tell the two apart
+    serialize() {
+        if (!this.serializable) return null;
+        return structuredClone({
+            simulationId: this.simulation.id,
+            parameters: this.parameters,
+            time: this.time,
+            engine: this.engine.serialize()
+        });
+    }
+
+    restore(snapshot) {
+        if (!this.serializable) {
+            throw new Error(`Simulation "${this.simulation.id}" cannot be restored`);
+        }
+        if (snapshot.simulationId !== this.simulation.id) {
+            throw new Error(`Snapshot of "${snapshot.simulationId}" cannot restore "${this.simulation.id}"`);
+        }
+        this.parameters = HyperionCore.resolveParameters(this.simulation, snapshot.parameters);
+        this.engine.setParameters({ ...this.parameters });
+        this.engine.restore(structuredClone(snapshot.engine));
+        this.time = snapshot.time;
+        return this;
+    }
+
+    dispose() {
+        this.engine.dispose?.();
+    }
+}
+
+const HyperionCore = {
+    // Scripts the engines need, relative to simulations/, in index.html order. Node and the sweep worker
+    // load exactly these, so an engine behaves the same wherever it runs
+    SCRIPTS: [
+        'common.js',
+        'registry.js',
+        'units.js',
+        'recorder.js',
+        'clock.js',
+        'categories.js',
+        'newtons-cradle.js',
+        'harmonic-oscillator.js',
+        'projectile-motion.js',
+        'orbital-mechanics.js',
+        'gravitational-slingshot.js',
+        'n-body-core.js',
+        'n-body-simulation.js',
+        'double-pendulum.js',
+        'lorenz-attractor.js',
+        'logistic-map.js',
+        'schrodinger-1d.js',
+        'superposition-demo.js',
+        'quantum-tunneling.js'
+    ],
+
+    // Node has no shared script scope; these scripts' exports become the globals the others expect
+    NODE_GLOBALS: {
+        'common.js': 'HyperionCanvas',
+        'registry.js': 'HyperionRegistry',
+        'units.js': 'HyperionUnits',
+        'recorder.js': 'HyperionRecorder',
+        'clock.js': 'HyperionClock',
+        'n-body-core.js': 'NBodySystem'
+    },
+
+    list() {
+        return HyperionRegistry.simulations.map(({ id, category, name }) => ({ id, category, name }));
+    },
+
+    getSimulation(simulationId) {
+        const simulation = HyperionRegistry.getSimulation(simulationId);
+        if (!simulation?.engine) {
+            throw new Error(`Unknown simulation "${simulationId}"`);
+        }
+        return simulation;
+    },
+
+    defaults(simulationId) {
+        const simulation = this.getSimulation(simulationId);
+        return Object.fromEntries(simulation.parameters.map(param => [param.name, param.default]));
+    },
+
+    // Numbers (or numeric strings) are clamped to the range; unknown options and unparseable values
+    // fall back to the default
+    parameterValue(param, raw) {
+        if (raw === null || raw === undefined) return param.default;
+
+        if (param.type === 'select') {
+            return param.options.includes(String(raw)) ? String(raw) : param.default;
+        }
+
+        const value = parseFloat(raw);
+        return isFinite(value) ? Math.min(param.max, Math.max(param.min, value)) : param.default;
+    },
+
+    // A full parameter set from values by name; names the simulation doesn't have are an error
+    resolveParameters(simulation, values = {}) {
+        const unknown = Object.keys(values).find(name => !simulation.parameters.some(param => param.name === name));
+        if (unknown) {
+            throw new Error(`Simulation "${simulation.id}" has no parameter "${unknown}"`);
+        }
+        return Object.fromEntries(simulation.parameters.map(param => [param.name, this.parameterValue(param, values[param.name])]));
+    },
+
+    // A bare engine from values by name; the page mounts its engines through here too, so headless and
+    // on-screen runs resolve parameters alike. options: { headless } keeps the engine off workers
+    createEngine(simulationId, values = {}, options = {}) {
+        const simulation = this.getSimulation(simulationId);
+        return new simulation.engine(this.resolveParameters(simulation, values), { headless: Boolean(options.headless) });
+    },
+
+    create(simulationId, values = {}, options = { headless: true }) {
+        const simulation = this.getSimulation(simulationId);
+        return new HyperionRun(simulation, this.resolveParameters(simulation, values), options);
+    },
+
+    restore(snapshot) {
+        return this.create(snapshot.simulationId).restore(snapshot);
+    },
+
+    SWEEP_STATISTICS: ['Final', 'Maximum', 'Minimum', 'Mean'],
+
+    // Sweep plan: { simulationId, parameters, axes, metric, statistic, duration, dt }. parameters holds the
+    // values of everything not swept; axes are one or two { name, from, to, steps } over numeric parameters;
+    // metric is an observable id, reduced over a run of duration seconds by statistic
+    sweepGrid(plan) {
+        const simulation = this.getSimulation(plan.simulationId);
+        if (!simulation.observables.some(observable => observable.id === plan.metric)) {
+            throw new Error(`Simulation "${simulation.id}" has no observable "${plan.metric}"`);
+        }
+
+        const axes = plan.axes.map(axis => {
+            const param = simulation.parameters.find(candidate => candidate.name === axis.name);
+            if (!param || param.type === 'select') {
+                throw new Error(`"${axis.name}" is not a numeric parameter of ${simulation.name}`);
+            }
+            const steps = Math.max(1, Math.round(axis.steps));
+            return Array.from({ length: steps }, (_, i) => {
+                let value = steps === 1 ? axis.from : axis.from + (axis.to - axis.from) * i / (steps - 1);
+                if (param.step) value = param.min + Math.round((value - param.min) / param.step) * param.step;
+                return this.parameterValue(param, parseFloat(value.toPrecision(12)));
+            });
+        });
+        return { axes, count: axes.reduce((count, values) => count * values.length, 1) };
+    },
+
+    // Cells run row by row with the first axis fastest; NaN where the engine never reported a number
+    sweepCell(plan, grid, index) {
+        const parameters = { ...plan.parameters };
+        let rest = index;
+        plan.axes.forEach((axis, a) => {
+            const values = grid.axes[a];
+            parameters[axis.name] = values[rest % values.length];
+            rest = Math.floor(rest / values.length);
+        });
+
+        const run = this.create(plan.simulationId, parameters, { headless: true });
+        const dt = plan.dt ?? HyperionClock.FIXED_STEP;
+        const steps = Math.round((plan.duration ?? 0) / dt);
+        let final = NaN;
+        let min = Infinity;
+        let max = -Infinity;
+        let sum = 0;
+        let samples = 0;
+        for (let i = 0; i <= steps; i++) {
+            if (i > 0) run.step(dt);
+            const value = run.engine.observe()[plan.metric];
+            final = typeof value === 'number' ? value : NaN;
+            if (!isFinite(final)) continue;
+            if (final < min) min = final;
+            if (final > max) max = final;
+            sum += final;
+            samples++;
+        }
+        run.dispose();
+
+        if (samples === 0) return NaN;
+        switch (plan.statistic) {
+            case 'Maximum': return max;
+            case 'Minimum': return min;
+            case 'Mean': return sum / samples;
+            default: return final;
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HyperionCore;
+    HyperionCore.SCRIPTS.forEach(script => {
+        const exported = require(`./${script}`);
+        const name = HyperionCore.NODE_GLOBALS[script];
+        if (name) globalThis[name] = exported;
+    });
+}
@@ -0,0 +1,319 @@
+// HYPERION - Double Pendulum
+// Lagrangian double pendulum (RK4) with twin-trajectory divergence and a Lyapunov estimate
+
+class DoublePendulumSimulation {
+    static GRAVITY = 9.81;
+    static TIME_STEP = 1 / 500;
+    static TRACE_LENGTH = 400;
+    static HISTORY_LENGTH = 900;
+    static SAMPLE_INTERVAL = 1 / 30;
+    static RENORMALIZE_INTERVAL = 0.5;
+    static SHADOW_SEPARATION = 1e-8;
+
+    constructor(params) {
+        this.params = {};
+        this.setParameters(params);
+        this.reset();
+    }
+
+    setParameters(params) {
+        const previous = this.params;
+        this.params = { ...params };
+
+        const restart = ['Initial Angle', 'Twin Mode', 'Perturbation Exponent']
+            .some(name => previous[name] !== undefined && previous[name] !== params[name]);
+        if (restart) {
+            this.reset();
+        } else if (this.state) {
+            // The system itself changed: restart the estimator from the current state
+            this.resetEstimator();
+        }
+    }
+
+    get lengths() { return [this.params['Length 1'] ?? 1, this.params['Length 2'] ?? 1]; }
+    get masses() { return [this.params['Mass 1'] ?? 1, this.params['Mass 2'] ?? 1]; }
+    get twinEnabled() { return (this.params['Twin Mode'] ?? 'On') === 'On'; }
+    get perturbation() { return Math.pow(10, this.params['Perturbation Exponent'] ?? -8); }
+
+    reset() {
+        const angle = (this.params['Initial Angle'] ?? 120) * Math.PI / 180;
+        this.time = 0;
+        this.accumulator = 0;
+        this.sampleClock = 0;
+        this.state = [angle, angle, 0, 0];
+        this.twin = this.twinEnabled ? [angle + this.perturbation, angle, 0, 0] : null;
+        this.trace = [];
+        this.twinTrace = [];
+        this.separation = { t: [], value: [] };
+        this.resetEstimator();
+    }
+
+    resetEstimator() {
+        const { SHADOW_SEPARATION } = DoublePendulumSimulation;
+        const [a, b, c, d] = this.state;
+        this.initialEnergy = this.energy(this.state);
+        this.shadow = [a + SHADOW_SEPARATION, b, c, d];
+        this.lyapunovSum = 0;
+        this.lyapunovTime = 0;
+        this.renormalizeClock = 0;
+        this.lyapunovHistory = { t: [], value: [] };
+    }
+
+    derivative([t1, t2, w1, w2]) {
+        const { GRAVITY: g } = DoublePendulumSimulation;
+        const [l1, l2] = this.lengths;
+        const [m1, m2] = this.masses;
+        const delta = t1 - t2;
+        const den = 2 * m1 + m2 - m2 * Math.cos(2 * delta);
+
+        const a1 = (-g * (2 * m1 + m2) * Math.sin(t1)
+            - m2 * g * Math.sin(t1 - 2 * t2)
+            - 2 * Math.sin(delta) * m2 * (w2 * w2 * l2 + w1 * w1 * l1 * Math.cos(delta))) / (l1 * den);
+        const a2 = (2 * Math.sin(delta) * (w1 * w1 * l1 * (m1 + m2)
+            + g * (m1 + m2) * Math.cos(t1)
+            + w2 * w2 * l2 * m2 * Math.cos(delta))) / (l2 * den);
+
+        return [w1, w2, a1, a2];
+    }
+
+    rk4(state, h) {
+        const add = (s, k, f) => s.map((v, i) => v + f * k[i]);
+        const k1 = this.derivative(state);
+        const k2 = this.derivative(add(state, k1, h / 2));
+        const k3 = this.derivative(add(state, k2, h / 2));
+        const k4 = this.derivative(add(state, k3, h));
+        return state.map((v, i) => v + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+    }
+
+    energy([t1, t2, w1, w2]) {
+        const { GRAVITY: g } = DoublePendulumSimulation;
+        const [l1, l2] = this.lengths;
+        const [m1, m2] = this.masses;
+        const kinetic = 0.5 * (m1 + m2) * l1 * l1 * w1 * w1
+            + 0.5 * m2 * l2 * l2 * w2 * w2
+            + m2 * l1 * l2 * w1 * w2 * Math.cos(t1 - t2);
+        const potential = -(m1 + m2) * g * l1 * Math.cos(t1) - m2 * g * l2 * Math.cos(t2);
+        return kinetic + potential;
+    }
+
+    // Phase-space distance with angle differences wrapped onto (-π, π]
+    static distance(a, b) {
+        const wrap = (x) => Math.atan2(Math.sin(x), Math.cos(x));
+        return Math.hypot(wrap(a[0] - b[0]), wrap(a[1] - b[1]), a[2] - b[2], a[3] - b[3]);
+    }
+
+    bobPositions([t1, t2]) {
+        const [l1, l2] = this.lengths;
+        const x1 = l1 * Math.sin(t1);
+        const y1 = l1 * Math.cos(t1);
+        return [{ x: x1, y: y1 }, { x: x1 + l2 * Math.sin(t2), y: y1 + l2 * Math.cos(t2) }];
+    }
+
+    step(dt) {
+        const { TIME_STEP: h } = DoublePendulumSimulation;
+        this.accumulator += dt;
+
+        while (this.accumulator >= h) {
+            this.advance(h);
+            this.accumulator -= h;
+        }
+    }
+
+    serialize() {
+        const {
+            time, accumulator, sampleClock, state, twin, trace, twinTrace, separation,
+            initialEnergy, shadow, lyapunovSum, lyapunovTime, renormalizeClock, lyapunovHistory
+        } = this;
+        return {
+            time, accumulator, sampleClock, state, twin, trace, twinTrace, separation,
+            initialEnergy, shadow, lyapunovSum, lyapunovTime, renormalizeClock, lyapunovHistory
+        };
+    }
+
+    restore(snapshot) {
+        Object.assign(this, snapshot);
+    }
+
+    advance(h) {
+        const {
+            TRACE_LENGTH, HISTORY_LENGTH, SAMPLE_INTERVAL, RENORMALIZE_INTERVAL, SHADOW_SEPARATION
+        } = DoublePendulumSimulation;
+
+        this.state = this.rk4(this.state, h);
+        if (this.twin) this.twin = this.rk4(this.twin, h);
+        this.shadow = this.rk4(this.shadow, h);
+        this.time += h;
+
+        // Benettin: pull the shadow back to a fixed distance and log the stretch factor
+        this.renormalizeClock += h;
+        if (this.renormalizeClock >= RENORMALIZE_INTERVAL) {
+            const d = DoublePendulumSimulation.distance(this.state, this.shadow);
+            if (d > 0) {
+                this.lyapunovSum += Math.log(d / SHADOW_SEPARATION);
+                this.lyapunovTime += this.renormalizeClock;
+                this.shadow = this.state.map((v, i) => v + (this.shadow[i] - v) * SHADOW_SEPARATION / d);
+                this.lyapunovHistory.t.push(this.time);
+                this.lyapunovHistory.value.push(this.lyapunovSum / this.lyapunovTime);
+            }
+            this.renormalizeClock = 0;
+        }
+
+        this.sampleClock += h;
+        if (this.sampleClock >= SAMPLE_INTERVAL) {
+            this.sampleClock = 0;
+            this.trace.push(this.bobPositions(this.state)[1]);
+            if (this.trace.length > TRACE_LENGTH) this.trace.shift();
+
+            if (this.twin) {
+                this.twinTrace.push(this.bobPositions(this.twin)[1]);
+                if (this.twinTrace.length > TRACE_LENGTH) this.twinTrace.shift();
+                this.separation.t.push(this.time);
+                this.separation.value.push(Math.log10(DoublePendulumSimulation.distance(this.state, this.twin)));
+                if (this.separation.t.length > HISTORY_LENGTH) {
+                    this.separation.t.shift();
+                    this.separation.value.shift();
+                }
+            }
+        }
+    }
+
+    get lyapunovExponent() {
+        return this.lyapunovTime > 0 ? this.lyapunovSum / this.lyapunovTime : null;
+    }
+
+    observe() {
+        const degrees = (a) => Math.atan2(Math.sin(a), Math.cos(a)) * 180 / Math.PI;
+        const energy = this.energy(this.state);
+        const lambda = this.lyapunovExponent;
+
+        return {
+            energy,
+            time: this.time,
+            theta1: degrees(this.state[0]),
+            theta2: degrees(this.state[1]),
+            energyDrift: (energy - this.initialEnergy) / Math.abs(this.initialEnergy || 1) * 100,
+            separation: this.twin ? DoublePendulumSimulation.distance(this.state, this.twin) : 'twin off',
+            lyapunov: lambda ?? 'measuring…',
+            lyapunovTime: lambda > 0 ? 1 / lambda : null
+        };
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        canvas.clear(ctx, width, height);
+
+        const plotHeight = Math.round(height * 0.3);
+        const view = { x: 12, y: 12, width: width - 24, height: height - plotHeight - 30 };
+        canvas.panel(ctx, view, this.twin ? `Twin offset δθ₁ = ${this.perturbation.toExponential(0)} rad` : 'Double pendulum');
+
+        const [l1, l2] = this.lengths;
+        const reach = l1 + l2;
+        const scale = Math.min(view.width, view.height) / (2.3 * reach);
+        const ox = view.x + view.width / 2;
+        const oy = view.y + view.height / 2;
+        const toScreen = (p) => ({ x: ox + p.x * scale, y: oy + p.y * scale });
+
+        this.drawTrace(ctx, this.trace, toScreen, '0, 191, 255');
+        if (this.twin) {
+            this.drawTrace(ctx, this.twinTrace, toScreen, '153, 102, 204');
+            this.drawArms(ctx, this.twin, toScreen, 'rgba(153, 102, 204, 0.7)', colors.purpleLight);
+        }
+        this.drawArms(ctx, this.state, toScreen, 'rgba(255, 255, 255, 0.8)', colors.blue);
+
+        const half = (width - 30) / 2;
+        const plotY = height - plotHeight - 12;
+        const separationRect = { x: 12, y: plotY, width: half, height: plotHeight };
+        if (this.twin && this.separation.t.length > 1) {
+            const { t, value } = this.separation;
+            const plot = canvas.axes(ctx, separationRect, [t[0], t[t.length - 1]], canvas.range(value),
+                { title: 'log₁₀ |δ(t)| twin separation', xLabel: 't (s)' });
+            canvas.line(ctx, plot, t, value, colors.purpleLight);
+        } else {
+            canvas.panel(ctx, separationRect, 'log₁₀ |δ(t)| twin separation');
+            canvas.legend(ctx, separationRect.x + 8, separationRect.y + 28,
+                [{ text: this.twin ? 'Start the simulation to measure…' : 'Enable Twin Mode to compare trajectories' }]);
+        }
+
+        const lyapunovRect = { x: 18 + half, y: plotY, width: half, height: plotHeight };
+        const { t, value } = this.lyapunovHistory;
+        if (t.length > 1) {
+            const plot = canvas.axes(ctx, lyapunovRect, [t[0], t[t.length - 1]], canvas.range(value.concat([0])),
+                { title: 'Running Lyapunov estimate λ', xLabel: 't (s)', yLabel: 's⁻¹' });
+            canvas.line(ctx, plot, t, value, colors.green);
+        } else {
+            canvas.panel(ctx, lyapunovRect, 'Running Lyapunov estimate λ');
+        }
+    }
+
+    drawTrace(ctx, trace, toScreen, rgb) {
+        ctx.lineWidth = 1.5;
+        for (let i = 1; i < trace.length; i++) {
+            const a = toScreen(trace[i - 1]);
+            const b = toScreen(trace[i]);
+            ctx.strokeStyle = `rgba(${rgb}, ${(i / trace.length) * 0.8})`;
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+        }
+    }
+
+    drawArms(ctx, state, toScreen, armColor, bobColor) {
+        const [m1, m2] = this.masses;
+        const origin = toScreen({ x: 0, y: 0 });
+        const [bob1, bob2] = this.bobPositions(state).map(toScreen);
+
+        ctx.strokeStyle = armColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(origin.x, origin.y);
+        ctx.lineTo(bob1.x, bob1.y);
+        ctx.lineTo(bob2.x, bob2.y);
+        ctx.stroke();
+
+        ctx.fillStyle = bobColor;
+        ctx.shadowColor = bobColor;
+        ctx.shadowBlur = 12;
+        [[bob1, m1], [bob2, m2]].forEach(([bob, mass]) => {
+            ctx.beginPath();
+            ctx.arc(bob.x, bob.y, 5 + 5 * Math.sqrt(mass), 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.shadowBlur = 0;
+    }
+}
+
+HyperionRegistry.register({
+    "id": "double-pendulum",
+    "category": "chaos-theory",
+    "name": "Double Pendulum",
+    "description": "Chaotic motion of coupled pendulums",
+    "equations": ["Complex coupled ODEs", "Lagrangian mechanics", "Sensitive to initial conditions", "|δ(t)| ≈ |δ₀| e^{λt}", "λ = lim (1/t) ln(|δ(t)|/|δ₀|)"],
+    "parameters": [
+        {"name": "Length 1", "min": 0.5, "max": 2.0, "default": 1.0, "unit": "m"},
+        {"name": "Length 2", "min": 0.5, "max": 2.0, "default": 1.0, "unit": "m"},
+        {"name": "Mass 1", "min": 0.1, "max": 2.0, "default": 1.0, "unit": "kg"},
+        {"name": "Mass 2", "min": 0.1, "max": 2.0, "default": 1.0, "unit": "kg"},
+        {"name": "Initial Angle", "min": 0, "max": 180, "default": 120, "unit": "°"},
+        {"name": "Twin Mode", "type": "select", "options": ["On", "Off"], "default": "On", "unit": ""},
+        {"name": "Perturbation Exponent", "min": -12, "max": -2, "default": -8, "step": 1, "unit": "log₁₀ rad"}
+    ],
+    "observables": [
+        {"id": "energy", "label": "Energy", "unit": "J"},
+        {"id": "time", "label": "Time", "unit": "s"},
+        {"id": "theta1", "label": "θ₁", "unit": "°", "precision": 1},
+        {"id": "theta2", "label": "θ₂", "unit": "°", "precision": 1},
+        {"id": "energyDrift", "label": "Energy drift", "unit": "%", "format": "exponential"},
+        {"id": "separation", "label": "Twin separation |δ|", "format": "exponential", "precision": 3},
+        {"id": "lyapunov", "label": "Lyapunov λ (est.)", "unit": "s⁻¹", "precision": 3},
+        {"id": "lyapunovTime", "label": "Lyapunov time 1/λ", "unit": "s"}
+    ],
+    "presets": [
+        {"name": "Small oscillations (10°)", "parameters": {"Initial Angle": 10}},
+        {"name": "Chaotic swing (150°)", "parameters": {"Initial Angle": 150}},
+        {"name": "Heavy lower bob", "parameters": {"Mass 1": 0.5, "Mass 2": 2}},
+        {"name": "Unequal arms", "parameters": {"Length 1": 2, "Length 2": 0.5}}
+    ],
+    "engine": DoublePendulumSimulation
+});
@@ -0,0 +1,67 @@
+// HYPERION - Saved experiments
+// Named parameter sets kept in localStorage; records use the export format so they validate like imports
+
+const HyperionExperiments = {
+    STORAGE_KEY: 'hyperion.experiments',
+
+    // Used when storage is blocked (private windows, some file:// pages); lasts until reload
+    memory: null,
+
+    load() {
+        if (this.memory) return this.memory;
+        try {
+            // Hand-edited storage may hold anything; only objects can be experiments
+            const list = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            return Array.isArray(list) ? list.filter(experiment => experiment && typeof experiment === 'object') : [];
+        } catch (error) {
+            this.memory = [];
+            return this.memory;
+        }
+    },
+
+    persist(list) {
+        if (this.memory) {
+            this.memory = list;
+            return;
+        }
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(list));
+        } catch (error) {
+            this.memory = list;
+        }
+    },
+
+    // Most recently saved first; records without a save time go last
+    list(simulationId) {
+        return this.load()
+            .filter(experiment => !simulationId || experiment.simulationId === simulationId)
+            .sort((a, b) => String(b.updated || '').localeCompare(String(a.updated || '')));
+    },
+
+    get(id) {
+        return this.load().find(experiment => experiment.id === id);
+    },
+
+    save(configuration, name) {
+        const now = new Date().toISOString();
+        const experiment = {
+            ...configuration,
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            created: now,
+            updated: now
+        };
+        this.persist([...this.load(), experiment]);
+        return experiment;
+    },
+
+    rename(id, name) {
+        this.persist(this.load().map(experiment =>
+            experiment.id === id ? { ...experiment, name, updated: new Date().toISOString() } : experiment
+        ));
+    },
+
+    remove(id) {
+        this.persist(this.load().filter(experiment => experiment.id !== id));
+    }
+};
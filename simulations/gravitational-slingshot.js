@@ -0,0 +1,325 @@
+// HYPERION - Gravitational Slingshot
+// Patched-conic flyby: hyperbola in the planet frame, vectors in the heliocentric frame
+
+class GravitationalSlingshotSimulation {
+    static G = 6.674e-11;
+    static PLAYBACK_SECONDS = 8;
+
+    // Mass (kg), mean radius (km) and mean orbital speed (km/s)
+    static PLANETS = {
+        'Venus': { mass: 4.867e24, radius: 6051.8, orbitalSpeed: 35.02 },
+        'Earth': { mass: 5.972e24, radius: 6371.0, orbitalSpeed: 29.78 },
+        'Mars': { mass: 6.417e23, radius: 3389.5, orbitalSpeed: 24.07 },
+        'Jupiter': { mass: 1.898e27, radius: 69911, orbitalSpeed: 13.07 },
+        'Saturn': { mass: 5.683e26, radius: 58232, orbitalSpeed: 9.68 },
+        'Uranus': { mass: 8.681e25, radius: 25362, orbitalSpeed: 6.80 },
+        'Neptune': { mass: 1.024e26, radius: 24622, orbitalSpeed: 5.43 }
+    };
+
+    constructor(params) {
+        this.setParameters(params);
+    }
+
+    setParameters(params) {
+        this.params = { ...params };
+        this.solve();
+        this.reset();
+    }
+
+    get planet() {
+        const { PLANETS } = GravitationalSlingshotSimulation;
+        return PLANETS[this.params['Planet']] || PLANETS['Jupiter'];
+    }
+
+    reset() {
+        this.time = -this.flyby.window;
+    }
+
+    // Everything below is in km and km/s; μ is converted to km³/s²
+    solve() {
+        const { G } = GravitationalSlingshotSimulation;
+        const planet = this.planet;
+        const mu = G * planet.mass / 1e9;
+        const planetSpeed = this.params['Planet Velocity'] ?? 13;
+        const craftSpeed = this.params['Spacecraft Velocity'] ?? 10;
+        const approach = (this.params['Approach Angle'] ?? 90) * Math.PI / 180;
+        const periapsis = this.params['Closest Approach'] ?? 200000;
+        const trailing = (this.params['Flyby Side'] ?? 'Trailing') === 'Trailing';
+
+        const planetVelocity = { x: planetSpeed, y: 0 };
+        const incoming = { x: craftSpeed * Math.cos(approach), y: craftSpeed * Math.sin(approach) };
+        const excessIn = { x: incoming.x - planetVelocity.x, y: incoming.y - planetVelocity.y };
+        const vInfinity = Math.max(Math.hypot(excessIn.x, excessIn.y), 1e-6);
+
+        const eccentricity = 1 + periapsis * vInfinity * vInfinity / mu;
+        const turnAngle = 2 * Math.asin(1 / eccentricity);
+
+        // Passing behind the planet swings v∞ towards the planet's motion; pick that sense
+        const rotate = (v, angle) => ({
+            x: v.x * Math.cos(angle) - v.y * Math.sin(angle),
+            y: v.x * Math.sin(angle) + v.y * Math.cos(angle)
+        });
+        const gain = (sign) => {
+            const out = rotate(excessIn, sign * turnAngle);
+            return Math.hypot(out.x + planetVelocity.x, out.y + planetVelocity.y);
+        };
+        const gainSign = gain(1) >= gain(-1) ? 1 : -1;
+        const sense = trailing ? gainSign : -gainSign;
+        const excessOut = rotate(excessIn, sense * turnAngle);
+        const outgoing = { x: excessOut.x + planetVelocity.x, y: excessOut.y + planetVelocity.y };
+
+        const semiMajor = mu / (vInfinity * vInfinity);
+        const meanMotion = Math.sqrt(mu / Math.pow(semiMajor, 3));
+        const viewRadius = Math.max(12 * periapsis, 4 * planet.radius);
+        const hyperbolicLimit = Math.acosh((viewRadius / semiMajor + 1) / eccentricity);
+
+        this.flyby = {
+            mu,
+            planetVelocity,
+            incoming,
+            outgoing,
+            excessIn,
+            excessOut,
+            vInfinity,
+            eccentricity,
+            turnAngle,
+            sense,
+            periapsis,
+            semiMajor,
+            meanMotion,
+            hyperbolicLimit,
+            window: (eccentricity * Math.sinh(hyperbolicLimit) - hyperbolicLimit) / meanMotion,
+            impactParameter: periapsis * Math.sqrt(1 + 2 * mu / (periapsis * vInfinity * vInfinity)),
+            hitsSurface: periapsis < planet.radius,
+            speedGain: Math.hypot(outgoing.x, outgoing.y) - Math.hypot(incoming.x, incoming.y),
+            deltaV: 2 * vInfinity * Math.sin(turnAngle / 2)
+        };
+    }
+
+    step(dt) {
+        const { PLAYBACK_SECONDS } = GravitationalSlingshotSimulation;
+        const { window } = this.flyby;
+        this.time += dt * 2 * window / PLAYBACK_SECONDS;
+        if (this.time > window) this.time = -window;
+    }
+
+    serialize() {
+        return { time: this.time };
+    }
+
+    restore(snapshot) {
+        this.time = snapshot.time;
+    }
+
+    // Planet-frame position from the hyperbolic Kepler equation M = e sinh H - H
+    positionAt(time) {
+        const { eccentricity: e, semiMajor, meanMotion } = this.flyby;
+        const M = meanMotion * time;
+        let H = Math.asinh(M / e);
+        for (let i = 0; i < 50; i++) {
+            const delta = (e * Math.sinh(H) - H - M) / (e * Math.cosh(H) - 1);
+            H -= delta;
+            if (Math.abs(delta) < 1e-12) break;
+        }
+        return this.orient({
+            x: semiMajor * (e - Math.cosh(H)),
+            y: semiMajor * Math.sqrt(e * e - 1) * Math.sinh(H)
+        });
+    }
+
+    // Rotate the perifocal frame so the incoming asymptote matches v∞ (mirrored for clockwise passes)
+    orient(point) {
+        const { eccentricity: e, excessIn, sense } = this.flyby;
+        const inPerifocal = Math.atan2(sense * (e - 1 / e), Math.sqrt(1 - 1 / (e * e)));
+        const angle = Math.atan2(excessIn.y, excessIn.x) - inPerifocal;
+        const y = sense * point.y;
+        return {
+            x: point.x * Math.cos(angle) - y * Math.sin(angle),
+            y: point.x * Math.sin(angle) + y * Math.cos(angle)
+        };
+    }
+
+    observe() {
+        const f = this.flyby;
+        const speed = (v) => Math.hypot(v.x, v.y);
+
+        return {
+            time: this.time,
+            orbitalSpeed: this.planet.orbitalSpeed,
+            vInfinity: f.vInfinity,
+            turnAngle: f.turnAngle * 180 / Math.PI,
+            speedGain: f.speedGain,
+            deltaV: f.deltaV,
+            speedIn: speed(f.incoming),
+            speedOut: speed(f.outgoing),
+            eccentricity: f.eccentricity,
+            impactParameter: f.impactParameter,
+            periapsisAltitude: f.hitsSurface ? 'SURFACE IMPACT' : f.periapsis - this.planet.radius
+        };
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        canvas.clear(ctx, width, height);
+
+        const split = Math.round(width * 0.55);
+        this.drawPlanetFrame(ctx, { x: 12, y: 12, width: split - 18, height: height - 24 });
+        this.drawVectorDiagram(ctx, { x: split + 6, y: 12, width: width - split - 18, height: height - 24 });
+    }
+
+    drawPlanetFrame(ctx, rect) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const f = this.flyby;
+        const planet = this.planet;
+        canvas.panel(ctx, rect, `Planet frame · ${this.params['Planet'] ?? 'Jupiter'}`);
+
+        const extent = Math.max(12 * f.periapsis, 4 * planet.radius);
+        const scale = Math.min(rect.width, rect.height) / (2.2 * extent);
+        const cx = rect.x + rect.width / 2;
+        const cy = rect.y + rect.height / 2;
+        const toX = x => cx + x * scale;
+        const toY = y => cy - y * scale;
+
+        // Planet disk
+        const radius = Math.max(planet.radius * scale, 2);
+        const gradient = ctx.createRadialGradient(cx - radius / 3, cy - radius / 3, radius / 8, cx, cy, radius);
+        gradient.addColorStop(0, colors.orange);
+        gradient.addColorStop(1, '#7a4a10');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Hyperbolic path, sampled in hyperbolic anomaly
+        ctx.strokeStyle = f.hitsSurface ? colors.red : 'rgba(0, 191, 255, 0.5)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let i = 0; i <= 200; i++) {
+            const H = -f.hyperbolicLimit + 2 * f.hyperbolicLimit * i / 200;
+            const p = this.orient({
+                x: f.semiMajor * (f.eccentricity - Math.cosh(H)),
+                y: f.semiMajor * Math.sqrt(f.eccentricity * f.eccentricity - 1) * Math.sinh(H)
+            });
+            if (i === 0) ctx.moveTo(toX(p.x), toY(p.y)); else ctx.lineTo(toX(p.x), toY(p.y));
+        }
+        ctx.stroke();
+
+        // Periapsis marker
+        const peri = this.orient({ x: f.periapsis, y: 0 });
+        ctx.fillStyle = colors.red;
+        ctx.beginPath();
+        ctx.arc(toX(peri.x), toY(peri.y), 3, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Spacecraft
+        const craft = this.positionAt(this.time);
+        ctx.fillStyle = '#ffffff';
+        ctx.shadowColor = colors.green;
+        ctx.shadowBlur = 12;
+        ctx.beginPath();
+        ctx.arc(toX(craft.x), toY(craft.y), 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+
+        if (f.hitsSurface) {
+            ctx.fillStyle = colors.red;
+            ctx.font = canvas.font(14);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText('⚠ Trajectory intersects the planet surface', cx, rect.y + rect.height - 12);
+        }
+    }
+
+    drawVectorDiagram(ctx, rect) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const f = this.flyby;
+        canvas.panel(ctx, rect, 'Heliocentric velocities (km/s)');
+
+        const vectors = [f.planetVelocity, f.incoming, f.outgoing];
+        const extent = Math.max(...vectors.map(v => Math.max(Math.abs(v.x), Math.abs(v.y)))) * 1.2;
+        const scale = Math.min(rect.width, rect.height - 60) / (2 * extent);
+        const ox = rect.x + rect.width / 2;
+        const oy = rect.y + rect.height / 2 + 10;
+        const tip = v => ({ x: ox + v.x * scale, y: oy - v.y * scale });
+
+        // v∞ circle around the planet-velocity tip: every outgoing velocity lies on it
+        const planetTip = tip(f.planetVelocity);
+        ctx.setLineDash([3, 5]);
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(planetTip.x, planetTip.y, f.vInfinity * scale, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        this.arrow(ctx, { x: ox, y: oy }, planetTip, colors.orange);
+        this.arrow(ctx, { x: ox, y: oy }, tip(f.incoming), colors.blue);
+        this.arrow(ctx, { x: ox, y: oy }, tip(f.outgoing), colors.green);
+        this.arrow(ctx, planetTip, tip(f.incoming), 'rgba(0, 191, 255, 0.5)', true);
+        this.arrow(ctx, planetTip, tip(f.outgoing), 'rgba(0, 255, 65, 0.5)', true);
+
+        canvas.legend(ctx, rect.x + 8, rect.y + rect.height - 80, [
+            { text: 'V planet', color: colors.orange },
+            { text: 'v in', color: colors.blue },
+            { text: 'v out', color: colors.green },
+            { text: `Δ|v| = ${f.speedGain.toFixed(2)} km/s`, color: f.speedGain >= 0 ? colors.green : colors.red }
+        ]);
+    }
+
+    arrow(ctx, from, to, color, dashed = false) {
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dashed ? [5, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(to.x, to.y);
+        ctx.lineTo(to.x - 9 * Math.cos(angle - 0.35), to.y - 9 * Math.sin(angle - 0.35));
+        ctx.lineTo(to.x - 9 * Math.cos(angle + 0.35), to.y - 9 * Math.sin(angle + 0.35));
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+HyperionRegistry.register({
+    "id": "gravitational-slingshot",
+    "category": "gravity-systems",
+    "name": "Gravitational Slingshot",
+    "description": "Gravity assist maneuver for spacecraft",
+    "equations": ["Δv = 2v_planet", "Energy conservation", "Momentum conservation", "e = 1 + r_p v∞²/μ", "δ = 2 arcsin(1/e)"],
+    "parameters": [
+        {"name": "Planet Velocity", "min": 5, "max": 50, "default": 13, "unit": "km/s"},
+        {"name": "Approach Angle", "min": 0, "max": 180, "default": 90, "unit": "°"},
+        {"name": "Closest Approach", "min": 1000, "max": 1000000, "default": 200000, "unit": "km"},
+        {"name": "Spacecraft Velocity", "min": 1, "max": 50, "default": 10, "unit": "km/s"},
+        {"name": "Planet", "type": "select", "options": ["Venus", "Earth", "Mars", "Jupiter", "Saturn", "Uranus", "Neptune"], "default": "Jupiter", "unit": ""},
+        {"name": "Flyby Side", "type": "select", "options": ["Trailing", "Leading"], "default": "Trailing", "unit": ""}
+    ],
+    "observables": [
+        {"id": "time", "label": "Time from periapsis", "format": "duration"},
+        {"id": "orbitalSpeed", "label": "Real orbital speed", "unit": "km/s"},
+        {"id": "vInfinity", "label": "v∞ (planet frame)", "unit": "km/s", "precision": 3},
+        {"id": "turnAngle", "label": "Turn angle δ", "unit": "°"},
+        {"id": "speedGain", "label": "Speed gained Δ|v|", "unit": "km/s", "precision": 3},
+        {"id": "deltaV", "label": "Vector |Δv|", "unit": "km/s", "precision": 3},
+        {"id": "speedIn", "label": "Heliocentric speed in", "unit": "km/s", "precision": 3},
+        {"id": "speedOut", "label": "Heliocentric speed out", "unit": "km/s", "precision": 3},
+        {"id": "eccentricity", "label": "Eccentricity", "precision": 4},
+        {"id": "impactParameter", "label": "Impact parameter b", "unit": "km", "precision": 0},
+        {"id": "periapsisAltitude", "label": "Periapsis altitude", "unit": "km", "precision": 0}
+    ],
+    "presets": [
+        {"name": "Jupiter assist, trailing side", "parameters": {}},
+        {"name": "Jupiter braking, leading side", "parameters": {"Flyby Side": "Leading"}},
+        {"name": "Close Venus flyby", "parameters": {"Planet": "Venus", "Planet Velocity": 35, "Spacecraft Velocity": 30, "Closest Approach": 10000}},
+        {"name": "Saturn assist", "parameters": {"Planet": "Saturn", "Planet Velocity": 9.7, "Closest Approach": 100000}}
+    ],
+    "engine": GravitationalSlingshotSimulation
+});
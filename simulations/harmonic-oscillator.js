@@ -0,0 +1,312 @@
+// HYPERION - Harmonic Oscillator
+// Damped, driven spring-mass system with selectable integrators
+
+class HarmonicOscillatorSimulation {
+    static TIME_STEP = 0.01;
+    static HISTORY_LENGTH = 2000;
+
+    constructor(params) {
+        this.params = {};
+        this.setParameters(params);
+        this.reset();
+    }
+
+    setParameters(params) {
+        const previous = this.params;
+        this.params = { ...params };
+
+        // A new amplitude is a new initial condition; everything else carries on
+        if (previous['Amplitude'] !== undefined && previous['Amplitude'] !== params['Amplitude']) {
+            this.reset();
+        }
+    }
+
+    get mass() { return this.params['Mass'] ?? 1; }
+    get springConstant() { return this.params['Spring Constant'] ?? 10; }
+    get amplitude() { return this.params['Amplitude'] ?? 1; }
+    get damping() { return this.params['Damping Coefficient'] ?? 0; }
+    get driveFrequency() { return this.params['Driving Frequency'] ?? 0; }
+    get integrator() { return this.params['Integrator'] ?? 'RK4'; }
+
+    // The drive is scaled so its quasi-static response equals the amplitude setting
+    get driveForce() {
+        return this.driveFrequency > 0 ? this.springConstant * this.amplitude : 0;
+    }
+
+    get naturalFrequency() {
+        return Math.sqrt(this.springConstant / this.mass);
+    }
+
+    reset() {
+        this.time = 0;
+        this.accumulator = 0;
+        this.x = this.amplitude;
+        this.v = 0;
+        this.initialEnergy = this.energy();
+        this.history = { t: [0], x: [this.x], v: [this.v] };
+    }
+
+    acceleration(x, v, t) {
+        const drive = this.driveForce * Math.cos(this.driveFrequency * t);
+        return (-this.springConstant * x - this.damping * v + drive) / this.mass;
+    }
+
+    energy() {
+        return 0.5 * this.mass * this.v * this.v + 0.5 * this.springConstant * this.x * this.x;
+    }
+
+    step(dt) {
+        const h = HarmonicOscillatorSimulation.TIME_STEP;
+        this.accumulator += dt;
+
+        while (this.accumulator >= h) {
+            this.advance(h);
+            this.accumulator -= h;
+        }
+    }
+
+    serialize() {
+        const { time, accumulator, x, v, initialEnergy, history } = this;
+        return { time, accumulator, x, v, initialEnergy, history };
+    }
+
+    restore(snapshot) {
+        Object.assign(this, snapshot);
+    }
+
+    advance(h) {
+        const { x, v, time: t } = this;
+
+        switch (this.integrator) {
+            case 'Euler': {
+                const a = this.acceleration(x, v, t);
+                this.x = x + v * h;
+                this.v = v + a * h;
+                break;
+            }
+            case 'Semi-implicit Euler': {
+                this.v = v + this.acceleration(x, v, t) * h;
+                this.x = x + this.v * h;
+                break;
+            }
+            default: {
+                const k1x = v;
+                const k1v = this.acceleration(x, v, t);
+                const k2x = v + 0.5 * h * k1v;
+                const k2v = this.acceleration(x + 0.5 * h * k1x, k2x, t + 0.5 * h);
+                const k3x = v + 0.5 * h * k2v;
+                const k3v = this.acceleration(x + 0.5 * h * k2x, k3x, t + 0.5 * h);
+                const k4x = v + h * k3v;
+                const k4v = this.acceleration(x + h * k3x, k4x, t + h);
+                this.x = x + h / 6 * (k1x + 2 * k2x + 2 * k3x + k4x);
+                this.v = v + h / 6 * (k1v + 2 * k2v + 2 * k3v + k4v);
+            }
+        }
+
+        this.time = t + h;
+        this.record();
+    }
+
+    record() {
+        const { HISTORY_LENGTH } = HarmonicOscillatorSimulation;
+        const { history } = this;
+        history.t.push(this.time);
+        history.x.push(this.x);
+        history.v.push(this.v);
+
+        if (history.t.length > HISTORY_LENGTH) {
+            const excess = history.t.length - HISTORY_LENGTH;
+            history.t.splice(0, excess);
+            history.x.splice(0, excess);
+            history.v.splice(0, excess);
+        }
+    }
+
+    // Largest |x| over the last full cycle of the drive (or the free oscillation)
+    measuredAmplitude() {
+        const omega = this.driveFrequency > 0 ? this.driveFrequency : this.naturalFrequency;
+        const window = 2 * Math.PI / omega;
+        const { t, x } = this.history;
+        let peak = 0;
+        for (let i = t.length - 1; i >= 0 && this.time - t[i] <= window; i--) {
+            peak = Math.max(peak, Math.abs(x[i]));
+        }
+        return peak;
+    }
+
+    resonance() {
+        const omega0 = this.naturalFrequency;
+        const gamma = this.damping / this.mass;
+        const omega = this.driveFrequency;
+        const resonant = omega0 * omega0 - gamma * gamma / 2;
+
+        return {
+            omega0,
+            quality: this.damping > 0 ? Math.sqrt(this.mass * this.springConstant) / this.damping : Infinity,
+            resonantFrequency: resonant > 0 ? Math.sqrt(resonant) : null,
+            steadyAmplitude: omega > 0
+                ? (this.driveForce / this.mass) /
+                    Math.sqrt(Math.pow(omega0 * omega0 - omega * omega, 2) + Math.pow(gamma * omega, 2))
+                : null
+        };
+    }
+
+    observe() {
+        const { omega0, quality, resonantFrequency, steadyAmplitude } = this.resonance();
+        const isolated = this.damping === 0 && this.driveFrequency === 0;
+
+        return {
+            energy: this.energy(),
+            momentum: this.mass * this.v,
+            time: this.time,
+            integrator: this.integrator,
+            naturalFrequency: omega0,
+            resonantFrequency: resonantFrequency ?? 'overdamped',
+            driveRatio: this.driveFrequency > 0 ? this.driveFrequency / omega0 : 'undriven',
+            quality,
+            steadyAmplitude,
+            measuredAmplitude: this.measuredAmplitude(),
+            energyDrift: isolated && this.initialEnergy > 0
+                ? 100 * (this.energy() - this.initialEnergy) / this.initialEnergy
+                : null
+        };
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { t, x, v } = this.history;
+
+        canvas.clear(ctx, width, height);
+
+        const springHeight = Math.round(height * 0.34);
+        const plotTop = springHeight + 12;
+        const plotHeight = height - plotTop - 12;
+        const split = Math.round(width * 0.58);
+
+        this.drawSpring(ctx, { x: 12, y: 12, width: width - 24, height: springHeight - 12 });
+
+        const xRange = canvas.range(x.concat([this.amplitude]), { symmetric: true });
+        const tEnd = Math.max(this.time, 5);
+        const timePlot = canvas.axes(ctx, { x: 12, y: plotTop, width: split - 18, height: plotHeight },
+            [Math.max(0, tEnd - 20), tEnd], xRange, { title: 'Position x(t)', xLabel: 't (s)', yLabel: 'x (m)' });
+        canvas.line(ctx, timePlot, t, x, colors.blue);
+        canvas.marker(ctx, timePlot, this.time, this.x, colors.blue, 3);
+
+        const vRange = canvas.range(v.concat([this.amplitude * this.naturalFrequency]), { symmetric: true });
+        const phasePlot = canvas.axes(ctx, { x: split + 6, y: plotTop, width: width - split - 18, height: plotHeight },
+            xRange, vRange, { title: 'Phase space (x, v)', xLabel: 'x (m)', yLabel: 'v (m/s)' });
+        canvas.line(ctx, phasePlot, x, v, colors.purpleLight, 1);
+        canvas.marker(ctx, phasePlot, this.x, this.v, colors.green);
+    }
+
+    drawSpring(ctx, rect) {
+        const { colors } = HyperionCanvas;
+        HyperionCanvas.panel(ctx, rect, `${this.integrator} · h = ${HarmonicOscillatorSimulation.TIME_STEP} s`);
+
+        const extent = Math.max(this.amplitude, ...this.history.x.map(Math.abs));
+        const centerY = rect.y + rect.height / 2 + 8;
+        const wallX = rect.x + 24;
+        const equilibriumX = rect.x + rect.width / 2;
+        const scale = (rect.width / 2 - 80) / extent;
+        const blockSize = Math.min(48, rect.height * 0.45);
+        const blockX = equilibriumX + this.x * scale;
+
+        // Wall
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(wallX, centerY - blockSize);
+        ctx.lineTo(wallX, centerY + blockSize);
+        ctx.stroke();
+
+        // Equilibrium marker
+        ctx.setLineDash([4, 4]);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(equilibriumX, centerY - blockSize);
+        ctx.lineTo(equilibriumX, centerY + blockSize);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Coils
+        const coils = 14;
+        const springEnd = blockX - blockSize / 2;
+        const coilWidth = (springEnd - wallX) / (coils * 2);
+        ctx.strokeStyle = colors.green;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(wallX, centerY);
+        for (let i = 0; i < coils * 2; i++) {
+            ctx.lineTo(wallX + (i + 0.5) * coilWidth, centerY + (i % 2 === 0 ? -1 : 1) * blockSize / 3);
+        }
+        ctx.lineTo(springEnd, centerY);
+        ctx.stroke();
+
+        // Mass
+        ctx.fillStyle = colors.blue;
+        ctx.shadowColor = colors.blue;
+        ctx.shadowBlur = 15;
+        ctx.fillRect(blockX - blockSize / 2, centerY - blockSize / 2, blockSize, blockSize);
+        ctx.shadowBlur = 0;
+
+        // Driving force arrow
+        if (this.driveForce > 0) {
+            const force = Math.cos(this.driveFrequency * this.time);
+            const length = force * blockSize;
+            const arrowY = centerY - blockSize / 2 - 12;
+            ctx.strokeStyle = colors.red;
+            ctx.fillStyle = colors.red;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(blockX, arrowY);
+            ctx.lineTo(blockX + length, arrowY);
+            ctx.stroke();
+            if (Math.abs(length) > 4) {
+                const dir = Math.sign(length);
+                ctx.beginPath();
+                ctx.moveTo(blockX + length, arrowY);
+                ctx.lineTo(blockX + length - dir * 6, arrowY - 4);
+                ctx.lineTo(blockX + length - dir * 6, arrowY + 4);
+                ctx.fill();
+            }
+        }
+    }
+}
+
+HyperionRegistry.register({
+    "id": "harmonic-oscillator",
+    "category": "core-mechanics",
+    "name": "Harmonic Oscillator",
+    "description": "Simple harmonic motion with spring-mass system",
+    "equations": ["F = -kx", "ω = √(k/m)", "x(t) = A cos(ωt + φ)", "mẍ + cẋ + kx = F₀cos(ω_d t)", "F₀ = kA"],
+    "parameters": [
+        {"name": "Mass", "min": 0.1, "max": 5.0, "default": 1.0, "unit": "kg"},
+        {"name": "Spring Constant", "min": 1, "max": 100, "default": 10, "unit": "N/m"},
+        {"name": "Amplitude", "min": 0.1, "max": 3.0, "default": 1.0, "unit": "m"},
+        {"name": "Damping Coefficient", "min": 0, "max": 2.0, "default": 0, "unit": "kg/s"},
+        {"name": "Driving Frequency", "min": 0, "max": 20, "default": 0, "step": 0.01, "unit": "rad/s"},
+        {"name": "Integrator", "type": "select", "options": ["Euler", "Semi-implicit Euler", "RK4"], "default": "RK4", "unit": ""}
+    ],
+    "observables": [
+        {"id": "energy", "label": "Energy", "unit": "J", "precision": 3},
+        {"id": "momentum", "label": "Momentum", "unit": "kg⋅m/s", "precision": 3},
+        {"id": "time", "label": "Time", "unit": "s"},
+        {"id": "integrator", "label": "Integrator", "format": "text"},
+        {"id": "naturalFrequency", "label": "Natural ω₀", "unit": "rad/s", "precision": 3},
+        {"id": "resonantFrequency", "label": "Resonance ω_r", "unit": "rad/s", "precision": 3},
+        {"id": "driveRatio", "label": "Drive ω/ω₀", "precision": 3},
+        {"id": "quality", "label": "Quality factor Q"},
+        {"id": "steadyAmplitude", "label": "Steady amplitude", "unit": "m", "precision": 3},
+        {"id": "measuredAmplitude", "label": "Measured amplitude", "unit": "m", "precision": 3},
+        {"id": "energyDrift", "label": "Energy drift", "unit": "%", "precision": 3}
+    ],
+    "presets": [
+        {"name": "Undamped (ω₀ = √10 rad/s)", "parameters": {}},
+        {"name": "Underdamped decay", "parameters": {"Damping Coefficient": 0.5}},
+        {"name": "Critical damping (c = 2√(km))", "parameters": {"Mass": 0.1, "Spring Constant": 10, "Damping Coefficient": 2}},
+        {"name": "Driven at resonance", "parameters": {"Damping Coefficient": 0.1, "Driving Frequency": 3.16}},
+        {"name": "Euler energy drift", "parameters": {"Integrator": "Euler"}}
+    ],
+    "engine": HarmonicOscillatorSimulation
+});
@@ -0,0 +1,383 @@
+// HYPERION - Logistic Map
+// Cobweb, time series, zoomable bifurcation diagram and Lyapunov exponent λ(r)
+
+class LogisticMapSimulation {
+    static FULL_VIEW = { rMin: 0.5, rMax: 4, xMin: 0, xMax: 1 };
+    static ITERATION_RATE = 15;
+    static COBWEB_STEPS = 150;
+    static MAX_SAMPLES = 20000;
+
+    constructor(params) {
+        this.view = { ...LogisticMapSimulation.FULL_VIEW };
+        this.listeners = [];
+        this.layout = null;
+        this.selection = null;
+        this.bifurcationCache = null;
+        this.lyapunovCache = null;
+        this.setParameters(params);
+    }
+
+    // The diagrams are keyed on view and iteration count, so only the orbit is rebuilt here
+    setParameters(params) {
+        this.params = { ...params };
+        this.series = this.iterate(this.rate, this.initial, this.iterations);
+        if (this.cursor === undefined || this.cursor > this.iterations) this.reset();
+    }
+
+    get rate() { return this.params['Growth Rate (r)'] ?? 3.5; }
+    get initial() { return this.params['Initial Population'] ?? 0.5; }
+    get iterations() { return Math.round(this.params['Iterations'] ?? 500); }
+
+    reset() {
+        this.cursor = 0;
+        this.clock = 0;
+    }
+
+    iterate(r, x0, count) {
+        const series = new Float64Array(count + 1);
+        series[0] = x0;
+        for (let n = 1; n <= count; n++) {
+            series[n] = r * series[n - 1] * (1 - series[n - 1]);
+        }
+        return series;
+    }
+
+    // λ(r) = ⟨ln |r(1 - 2x)|⟩ along the orbit after a transient
+    static lyapunov(r, transient, samples) {
+        let x = 0.5;
+        for (let n = 0; n < transient; n++) x = r * x * (1 - x);
+        let sum = 0;
+        for (let n = 0; n < samples; n++) {
+            x = r * x * (1 - x);
+            sum += Math.log(Math.max(Math.abs(r * (1 - 2 * x)), 1e-300));
+        }
+        return sum / samples;
+    }
+
+    // Smallest p with x_{N-p} ≈ x_N, or null when none up to 64 (chaos or slow convergence)
+    period() {
+        const { series } = this;
+        const last = series.length - 1;
+        for (let p = 1; p <= 64 && p <= last; p++) {
+            if (Math.abs(series[last] - series[last - p]) < 1e-6) return p;
+        }
+        return null;
+    }
+
+    // Deeper zooms need longer orbits to resolve fine structure
+    get zoomSamples() {
+        const { FULL_VIEW, MAX_SAMPLES } = LogisticMapSimulation;
+        const zoom = (FULL_VIEW.rMax - FULL_VIEW.rMin) / (this.view.rMax - this.view.rMin);
+        return Math.min(MAX_SAMPLES, Math.round(this.iterations * (1 + Math.log2(zoom))));
+    }
+
+    step(dt) {
+        const { ITERATION_RATE } = LogisticMapSimulation;
+        this.clock += dt * ITERATION_RATE;
+        while (this.clock >= 1) {
+            this.clock -= 1;
+            this.cursor = this.cursor >= this.iterations ? 0 : this.cursor + 1;
+        }
+    }
+
+    serialize() {
+        return { cursor: this.cursor, clock: this.clock };
+    }
+
+    restore(snapshot) {
+        this.cursor = Math.min(snapshot.cursor, this.iterations);
+        this.clock = snapshot.clock;
+    }
+
+    attach(canvas) {
+        const on = (target, type, handler) => {
+            target.addEventListener(type, handler);
+            this.listeners.push(() => target.removeEventListener(type, handler));
+        };
+        const local = (e) => {
+            const bounds = canvas.getBoundingClientRect();
+            return { x: e.clientX - bounds.left, y: e.clientY - bounds.top };
+        };
+        const inside = (p, rect) => rect && p.x >= rect.x && p.x <= rect.x + rect.width &&
+            p.y >= rect.y && p.y <= rect.y + rect.height;
+
+        on(canvas, 'mousedown', (e) => {
+            const p = local(e);
+            if (!inside(p, this.layout?.bifurcation)) return;
+            this.selection = { x0: p.x, y0: p.y, x1: p.x, y1: p.y };
+        });
+        on(window, 'mousemove', (e) => {
+            if (!this.selection) return;
+            const p = local(e);
+            this.selection.x1 = p.x;
+            this.selection.y1 = p.y;
+            this.onViewChange?.();
+        });
+        on(window, 'mouseup', () => {
+            const s = this.selection;
+            this.selection = null;
+            if (!s || Math.abs(s.x1 - s.x0) < 6 || Math.abs(s.y1 - s.y0) < 6) return;
+            this.zoomTo(s);
+            this.onViewChange?.();
+        });
+        on(canvas, 'dblclick', () => {
+            this.view = { ...LogisticMapSimulation.FULL_VIEW };
+            this.onViewChange?.();
+        });
+    }
+
+    dispose() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+    }
+
+    zoomTo(selection) {
+        const rect = this.layout.bifurcation;
+        const toR = (px) => this.view.rMin + (px - rect.x) / rect.width * (this.view.rMax - this.view.rMin);
+        const toX = (py) => this.view.xMax - (py - rect.y) / rect.height * (this.view.xMax - this.view.xMin);
+        const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+        const { FULL_VIEW } = LogisticMapSimulation;
+
+        this.view = {
+            rMin: clamp(toR(Math.min(selection.x0, selection.x1)), FULL_VIEW.rMin, FULL_VIEW.rMax),
+            rMax: clamp(toR(Math.max(selection.x0, selection.x1)), FULL_VIEW.rMin, FULL_VIEW.rMax),
+            xMin: clamp(toX(Math.max(selection.y0, selection.y1)), 0, 1),
+            xMax: clamp(toX(Math.min(selection.y0, selection.y1)), 0, 1)
+        };
+    }
+
+    getView() {
+        return { ...this.view };
+    }
+
+    // Windows outside the full diagram or with no extent fall back to the full view
+    setView(view) {
+        const { FULL_VIEW } = LogisticMapSimulation;
+        const next = { ...this.view, ...view };
+        const valid = Object.values(next).every(isFinite) &&
+            next.rMin >= FULL_VIEW.rMin && next.rMax <= FULL_VIEW.rMax && next.rMin < next.rMax &&
+            next.xMin >= FULL_VIEW.xMin && next.xMax <= FULL_VIEW.xMax && next.xMin < next.xMax;
+        this.view = valid ? next : { ...FULL_VIEW };
+    }
+
+    observe() {
+        const r = this.rate;
+        const period = this.period();
+        const lambda = LogisticMapSimulation.lyapunov(r, this.iterations, this.iterations);
+        const slope = r > 1 ? Math.abs(2 - r) : r;
+
+        return {
+            iteration: this.cursor,
+            x: this.series[this.cursor],
+            period: period ?? (lambda > 0 ? 'chaotic' : '> 64'),
+            lyapunov: lambda,
+            fixedPoint: r > 1 ? 1 - 1 / r : 0,
+            stability: slope < 1 ? 'stable' : 'unstable',
+            viewMin: this.view.rMin,
+            viewMax: this.view.rMax
+        };
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        canvas.clear(ctx, width, height);
+
+        const topHeight = Math.round(height * 0.36);
+        const half = (width - 30) / 2;
+        const bottomY = topHeight + 18;
+        const lyapunovHeight = Math.round((height - bottomY) * 0.3);
+
+        this.drawCobweb(ctx, { x: 12, y: 12, width: half, height: topHeight });
+        this.drawTimeSeries(ctx, { x: 18 + half, y: 12, width: half, height: topHeight });
+
+        const bifurcationRect = { x: 12, y: bottomY, width: width - 24, height: height - bottomY - lyapunovHeight - 18 };
+        const plot = this.drawBifurcation(ctx, bifurcationRect);
+        this.drawLyapunov(ctx, { x: 12, y: height - lyapunovHeight - 12, width: width - 24, height: lyapunovHeight });
+
+        this.layout = { bifurcation: plot.inner };
+
+        if (this.selection) {
+            const s = this.selection;
+            ctx.strokeStyle = canvas.colors.green;
+            ctx.fillStyle = 'rgba(0, 255, 65, 0.08)';
+            ctx.lineWidth = 1;
+            const x = Math.min(s.x0, s.x1);
+            const y = Math.min(s.y0, s.y1);
+            ctx.fillRect(x, y, Math.abs(s.x1 - s.x0), Math.abs(s.y1 - s.y0));
+            ctx.strokeRect(x, y, Math.abs(s.x1 - s.x0), Math.abs(s.y1 - s.y0));
+        }
+    }
+
+    drawCobweb(ctx, rect) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { COBWEB_STEPS } = LogisticMapSimulation;
+        const r = this.rate;
+        const plot = canvas.axes(ctx, rect, [0, 1], [0, 1], { title: `Cobweb · r = ${r.toFixed(3)}`, xLabel: 'x_n', yLabel: 'x_n+1' });
+
+        const xs = [];
+        const parabola = [];
+        for (let i = 0; i <= 100; i++) {
+            xs.push(i / 100);
+            parabola.push(r * (i / 100) * (1 - i / 100));
+        }
+        canvas.line(ctx, plot, [0, 1], [0, 1], colors.axis, 1);
+        canvas.line(ctx, plot, xs, parabola, colors.blue, 1.5);
+
+        // Staircase up to the cursor, keeping only the most recent steps
+        const end = Math.max(1, this.cursor);
+        const start = Math.max(0, end - COBWEB_STEPS);
+        const webX = [this.series[start]];
+        const webY = [start === 0 ? 0 : this.series[start]];
+        for (let n = start; n < end; n++) {
+            webX.push(this.series[n], this.series[n + 1]);
+            webY.push(this.series[n + 1], this.series[n + 1]);
+        }
+        canvas.line(ctx, plot, webX, webY, 'rgba(0, 255, 65, 0.7)', 1);
+        canvas.marker(ctx, plot, this.series[this.cursor], this.series[this.cursor], colors.green, 3);
+    }
+
+    drawTimeSeries(ctx, rect) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const n = Array.from(this.series, (_, i) => i);
+        const plot = canvas.axes(ctx, rect, [0, this.iterations], [0, 1], { title: 'Time series x_n', xLabel: 'n' });
+        canvas.line(ctx, plot, n, this.series, 'rgba(0, 191, 255, 0.6)', 1);
+        canvas.marker(ctx, plot, this.cursor, this.series[this.cursor], colors.green, 3);
+    }
+
+    drawBifurcation(ctx, rect) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { rMin, rMax, xMin, xMax } = this.view;
+        const zoomed = rMin !== 0.5 || rMax !== 4 || xMin !== 0 || xMax !== 1;
+        const plot = canvas.axes(ctx, rect, [rMin, rMax], [xMin, xMax], {
+            title: `Bifurcation diagram${zoomed ? ' (double-click to reset)' : ' (drag to zoom)'}`,
+            xLabel: 'r',
+            yLabel: 'x'
+        });
+
+        // Rendered at device resolution and cached until the view or iteration count changes
+        const ratio = ctx.getTransform ? ctx.getTransform().a : 1;
+        const { inner } = plot;
+        const w = Math.max(1, Math.round(inner.width * ratio));
+        const h = Math.max(1, Math.round(inner.height * ratio));
+        const key = [rMin, rMax, xMin, xMax, w, h, this.iterations].join();
+
+        if (!this.bifurcationCache || this.bifurcationCache.key !== key) {
+            this.bifurcationCache = { key, image: this.renderBifurcation(ctx, w, h) };
+        }
+        ctx.putImageData(this.bifurcationCache.image, Math.round(inner.x * ratio), Math.round(inner.y * ratio));
+
+        this.drawRateMarker(ctx, plot, colors.red);
+        return plot;
+    }
+
+    renderBifurcation(ctx, w, h) {
+        const { rMin, rMax, xMin, xMax } = this.view;
+        const image = ctx.createImageData(w, h);
+        const hits = new Uint16Array(w * h);
+        const samples = this.zoomSamples;
+        const transient = Math.max(this.iterations, samples);
+        let peak = 1;
+
+        for (let col = 0; col < w; col++) {
+            const r = rMin + (col + 0.5) / w * (rMax - rMin);
+            let x = 0.5;
+            for (let n = 0; n < transient; n++) x = r * x * (1 - x);
+            for (let n = 0; n < samples; n++) {
+                x = r * x * (1 - x);
+                if (x < xMin || x > xMax) continue;
+                const row = Math.min(h - 1, Math.floor((xMax - x) / (xMax - xMin) * h));
+                const index = row * w + col;
+                if (hits[index] < 65535) hits[index]++;
+                if (hits[index] > peak) peak = hits[index];
+            }
+        }
+
+        // Log-scaled density so faint chaotic bands stay visible next to periodic spikes
+        const logPeak = Math.log(1 + peak);
+        for (let i = 0; i < hits.length; i++) {
+            if (!hits[i]) continue;
+            const level = 0.25 + 0.75 * Math.log(1 + hits[i]) / logPeak;
+            image.data[4 * i] = Math.round(77 * level);
+            image.data[4 * i + 1] = Math.round(191 * level + 40);
+            image.data[4 * i + 2] = 255;
+            image.data[4 * i + 3] = Math.round(255 * level);
+        }
+        return image;
+    }
+
+    drawLyapunov(ctx, rect) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { rMin, rMax } = this.view;
+        const columns = Math.max(2, Math.round(rect.width));
+        const key = [rMin, rMax, columns, this.iterations].join();
+
+        if (!this.lyapunovCache || this.lyapunovCache.key !== key) {
+            const r = [];
+            const lambda = [];
+            const samples = this.zoomSamples;
+            for (let i = 0; i < columns; i++) {
+                r.push(rMin + i / (columns - 1) * (rMax - rMin));
+                lambda.push(LogisticMapSimulation.lyapunov(r[i], this.iterations, samples));
+            }
+            this.lyapunovCache = { key, r, lambda };
+        }
+
+        const { r, lambda } = this.lyapunovCache;
+        const low = Math.max(-3, Math.min(...lambda.filter(isFinite)));
+        const plot = canvas.axes(ctx, rect, [rMin, rMax], [low, Math.max(1, ...lambda.filter(isFinite))],
+            { title: 'Lyapunov exponent λ(r)', xLabel: 'r' });
+        canvas.line(ctx, plot, [rMin, rMax], [0, 0], colors.axis, 1);
+        canvas.line(ctx, plot, r, lambda, colors.purpleLight, 1.2);
+        this.drawRateMarker(ctx, plot, colors.red);
+    }
+
+    drawRateMarker(ctx, plot, color) {
+        const { rMin, rMax } = this.view;
+        if (this.rate < rMin || this.rate > rMax) return;
+        const x = Math.round(plot.sx(this.rate)) + 0.5;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, plot.inner.y);
+        ctx.lineTo(x, plot.inner.y + plot.inner.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+}
+
+HyperionRegistry.register({
+    "id": "logistic-map",
+    "category": "chaos-theory",
+    "name": "Logistic Map",
+    "description": "Discrete-time dynamical system showing chaos",
+    "equations": ["x_{n+1} = rx_n(1 - x_n)", "Bifurcation parameter r", "λ(r) = lim (1/N) Σ ln|r(1 - 2x_n)|", "x* = 1 - 1/r, stable for 1 < r < 3"],
+    "parameters": [
+        {"name": "Growth Rate (r)", "key": "r", "min": 0.5, "max": 4.0, "default": 3.5, "unit": "", "step": 0.001},
+        {"name": "Initial Population", "min": 0.01, "max": 0.99, "default": 0.5, "unit": "", "step": 0.01},
+        {"name": "Iterations", "min": 100, "max": 2000, "default": 500, "unit": "", "step": 1}
+    ],
+    "observables": [
+        {"id": "iteration", "label": "Iteration n", "format": "integer"},
+        {"id": "x", "label": "x_n", "precision": 6},
+        {"id": "period", "label": "Period", "format": "integer"},
+        {"id": "lyapunov", "label": "Lyapunov λ(r)", "precision": 4},
+        {"id": "fixedPoint", "label": "Fixed point x*", "precision": 4},
+        {"id": "stability", "label": "x* stability", "format": "text"},
+        {"id": "viewMin", "label": "View r from", "precision": 4},
+        {"id": "viewMax", "label": "View r to", "precision": 4}
+    ],
+    "presets": [
+        {"name": "Stable fixed point (r = 2.8)", "parameters": {"Growth Rate (r)": 2.8}},
+        {"name": "Period-doubling onset (r = 3)", "parameters": {"Growth Rate (r)": 3}},
+        {"name": "Period 4 (r = 3.5)", "parameters": {"Growth Rate (r)": 3.5}},
+        {"name": "Edge of chaos (r = 3.5699)", "parameters": {"Growth Rate (r)": 3.5699, "Iterations": 2000}},
+        {"name": "Period-3 window (r = 3.83)", "parameters": {"Growth Rate (r)": 3.83}},
+        {"name": "Fully chaotic (r = 4)", "parameters": {"Growth Rate (r)": 4}}
+    ],
+    "engine": LogisticMapSimulation
+});
@@ -0,0 +1,310 @@
+// HYPERION - Lorenz Attractor
+// RK4 Lorenz system drawn as 3D trails with a drag-to-rotate camera
+
+class LorenzAttractorSimulation {
+    static TIME_STEP = 0.005;
+    static TRAIL_LENGTH = 3000;
+    static PALETTE = ['#00bfff', '#ff6b6b', '#00ff41', '#9966cc', '#ffb347', '#4da6ff', '#39ff14', '#ff9ff3', '#feca57', '#ffffff'];
+
+    constructor(params) {
+        this.params = {};
+        this.camera = { yaw: 0.6, pitch: -0.35, zoom: 1 };
+        this.listeners = [];
+        this.setParameters(params);
+        this.reset();
+    }
+
+    // σ, ρ, β take effect from the current state; only the trajectory set may change shape
+    setParameters(params) {
+        const previous = this.params;
+        this.params = { ...params };
+
+        if (this.trajectories && previous['Spread Exponent'] !== params['Spread Exponent']) {
+            this.reset();
+        } else if (this.trajectories) {
+            this.syncTrajectoryCount();
+        }
+    }
+
+    get sigma() { return this.params['Sigma (σ)'] ?? 10; }
+    get rho() { return this.params['Rho (ρ)'] ?? 28; }
+    get beta() { return this.params['Beta (β)'] ?? 8 / 3; }
+    get projection() { return this.params['Projection'] ?? '3D'; }
+    get trajectoryCount() { return Math.round(this.params['Trajectories'] ?? 1); }
+    get spread() { return Math.pow(10, this.params['Spread Exponent'] ?? -3); }
+
+    reset() {
+        this.time = 0;
+        this.accumulator = 0;
+        this.trajectories = [];
+        this.syncTrajectoryCount();
+    }
+
+    // New trajectories start next to the first one, offset along x
+    syncTrajectoryCount() {
+        const { TRAIL_LENGTH } = LorenzAttractorSimulation;
+        const base = this.trajectories[0]?.state ?? [1, 1, 1];
+
+        while (this.trajectories.length < this.trajectoryCount) {
+            const index = this.trajectories.length;
+            const state = [base[0] + index * this.spread, base[1], base[2]];
+            const trail = new Float32Array(3 * TRAIL_LENGTH);
+            trail.set(state, 0);
+            this.trajectories.push({ state, trail, head: 1, length: 1 });
+        }
+        this.trajectories.length = this.trajectoryCount;
+    }
+
+    derivative([x, y, z]) {
+        return [this.sigma * (y - x), x * (this.rho - z) - y, x * y - this.beta * z];
+    }
+
+    rk4(state, h) {
+        const add = (s, k, f) => [s[0] + f * k[0], s[1] + f * k[1], s[2] + f * k[2]];
+        const k1 = this.derivative(state);
+        const k2 = this.derivative(add(state, k1, h / 2));
+        const k3 = this.derivative(add(state, k2, h / 2));
+        const k4 = this.derivative(add(state, k3, h));
+        return state.map((v, i) => v + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+    }
+
+    step(dt) {
+        const { TIME_STEP: h, TRAIL_LENGTH } = LorenzAttractorSimulation;
+        this.accumulator += dt;
+
+        while (this.accumulator >= h) {
+            this.trajectories.forEach(trajectory => {
+                trajectory.state = this.rk4(trajectory.state, h);
+                trajectory.trail.set(trajectory.state, 3 * trajectory.head);
+                trajectory.head = (trajectory.head + 1) % TRAIL_LENGTH;
+                trajectory.length = Math.min(trajectory.length + 1, TRAIL_LENGTH);
+            });
+            this.time += h;
+            this.accumulator -= h;
+        }
+    }
+
+    // Trails are left out to keep snapshots small; they regrow from the restored states
+    serialize() {
+        return {
+            time: this.time,
+            accumulator: this.accumulator,
+            states: this.trajectories.map(trajectory => trajectory.state)
+        };
+    }
+
+    restore(snapshot) {
+        const { TRAIL_LENGTH } = LorenzAttractorSimulation;
+        this.time = snapshot.time;
+        this.accumulator = snapshot.accumulator;
+        this.trajectories = snapshot.states.map(state => {
+            const trail = new Float32Array(3 * TRAIL_LENGTH);
+            trail.set(state, 0);
+            return { state, trail, head: 1, length: 1 };
+        });
+        this.syncTrajectoryCount();
+    }
+
+    attach(canvas) {
+        let drag = null;
+        const on = (target, type, handler, options) => {
+            target.addEventListener(type, handler, options);
+            this.listeners.push(() => target.removeEventListener(type, handler, options));
+        };
+
+        canvas.style.cursor = 'grab';
+        on(canvas, 'mousedown', (e) => {
+            drag = { x: e.clientX, y: e.clientY };
+            canvas.style.cursor = 'grabbing';
+        });
+        on(window, 'mousemove', (e) => {
+            if (!drag) return;
+            this.camera.yaw += (e.clientX - drag.x) * 0.01;
+            this.camera.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.pitch + (e.clientY - drag.y) * 0.01));
+            drag = { x: e.clientX, y: e.clientY };
+            this.onViewChange?.();
+        });
+        on(window, 'mouseup', () => {
+            drag = null;
+            canvas.style.cursor = 'grab';
+        });
+        on(canvas, 'wheel', (e) => {
+            e.preventDefault();
+            this.camera.zoom = Math.max(0.2, Math.min(8, this.camera.zoom * Math.exp(-e.deltaY * 0.001)));
+            this.onViewChange?.();
+        }, { passive: false });
+    }
+
+    dispose() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+    }
+
+    getView() {
+        return { ...this.camera };
+    }
+
+    setView(view) {
+        const clamp = (v, lo, hi, fallback) => isFinite(v) ? Math.max(lo, Math.min(hi, v)) : fallback;
+        this.camera = {
+            yaw: clamp(view.yaw, -Infinity, Infinity, this.camera.yaw),
+            pitch: clamp(view.pitch, -Math.PI / 2, Math.PI / 2, this.camera.pitch),
+            zoom: clamp(view.zoom, 0.2, 8, this.camera.zoom)
+        };
+    }
+
+    // World → view coordinates, centred on the attractor's mid-height
+    project(x, y, z) {
+        const zc = z - (this.rho - 1);
+        switch (this.projection) {
+            case 'XY': return { u: x, v: y, depth: z };
+            case 'XZ': return { u: x, v: zc, depth: y };
+            case 'YZ': return { u: y, v: zc, depth: x };
+            default: {
+                const { yaw, pitch } = this.camera;
+                const rx = x * Math.cos(yaw) - y * Math.sin(yaw);
+                const ry = x * Math.sin(yaw) + y * Math.cos(yaw);
+                return {
+                    u: rx,
+                    v: zc * Math.cos(pitch) - ry * Math.sin(pitch),
+                    depth: zc * Math.sin(pitch) + ry * Math.cos(pitch)
+                };
+            }
+        }
+    }
+
+    fixedPoints() {
+        if (this.rho <= 1) return [];
+        const c = Math.sqrt(this.beta * (this.rho - 1));
+        return [[c, c, this.rho - 1], [-c, -c, this.rho - 1]];
+    }
+
+    observe() {
+        const [x, y, z] = this.trajectories[0].state;
+        const spread = this.trajectories.reduce((max, trajectory) => {
+            const [a, b, c] = trajectory.state;
+            return Math.max(max, Math.hypot(a - x, b - y, c - z));
+        }, 0);
+        const fixed = this.fixedPoints()[0];
+
+        return {
+            time: this.time,
+            x,
+            y,
+            z,
+            trajectories: this.trajectories.length,
+            maxSpread: this.trajectories.length > 1 ? spread : null,
+            fixedPoints: fixed ? `(±${fixed[0].toFixed(2)}, ±${fixed[1].toFixed(2)}, ${fixed[2].toFixed(1)})` : 'origin only',
+            projection: this.projection
+        };
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        const { TRAIL_LENGTH, PALETTE } = LorenzAttractorSimulation;
+        canvas.clear(ctx, width, height);
+
+        const scale = Math.min(width, height) / 70 * this.camera.zoom;
+        const cx = width / 2;
+        const cy = height / 2;
+
+        this.drawAxes(ctx, cx, cy, scale);
+
+        // Older segments fade out; drawn in chunks to keep the path count low
+        const chunks = 12;
+        this.trajectories.forEach((trajectory, index) => {
+            const { trail, head, length } = trajectory;
+            const start = (head - length + TRAIL_LENGTH) % TRAIL_LENGTH;
+            const chunkSize = Math.ceil(length / chunks);
+            ctx.strokeStyle = PALETTE[index % PALETTE.length];
+            ctx.lineWidth = 1.2;
+
+            for (let c = 0; c < chunks; c++) {
+                const from = c * chunkSize;
+                const to = Math.min(length - 1, from + chunkSize);
+                if (from >= to) break;
+
+                ctx.globalAlpha = 0.15 + 0.85 * (c + 1) / chunks;
+                ctx.beginPath();
+                for (let i = from; i <= to; i++) {
+                    const k = 3 * ((start + i) % TRAIL_LENGTH);
+                    const p = this.project(trail[k], trail[k + 1], trail[k + 2]);
+                    const sx = cx + p.u * scale;
+                    const sy = cy - p.v * scale;
+                    if (i === from) ctx.moveTo(sx, sy); else ctx.lineTo(sx, sy);
+                }
+                ctx.stroke();
+            }
+            ctx.globalAlpha = 1;
+
+            const [x, y, z] = trajectory.state;
+            const p = this.project(x, y, z);
+            ctx.fillStyle = PALETTE[index % PALETTE.length];
+            ctx.shadowColor = ctx.fillStyle;
+            ctx.shadowBlur = 10;
+            ctx.beginPath();
+            ctx.arc(cx + p.u * scale, cy - p.v * scale, 3.5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+        });
+
+        canvas.legend(ctx, 16, 16, [
+            { text: `σ = ${this.sigma.toFixed(2)}  ρ = ${this.rho.toFixed(2)}  β = ${this.beta.toFixed(2)}` },
+            { text: this.projection === '3D' ? 'drag to rotate · scroll to zoom' : `${this.projection} plane · scroll to zoom`, color: HyperionCanvas.colors.muted }
+        ]);
+    }
+
+    drawAxes(ctx, cx, cy, scale) {
+        const { colors } = HyperionCanvas;
+        const length = 15;
+        const origin = this.project(0, 0, this.rho - 1);
+        [['x', [length, 0, 0], colors.red], ['y', [0, length, 0], colors.green], ['z', [0, 0, length], colors.blue]]
+            .forEach(([label, [x, y, z], color]) => {
+                const end = this.project(x, y, this.rho - 1 + z);
+                ctx.strokeStyle = color;
+                ctx.globalAlpha = 0.35;
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(cx + origin.u * scale, cy - origin.v * scale);
+                ctx.lineTo(cx + end.u * scale, cy - end.v * scale);
+                ctx.stroke();
+                ctx.globalAlpha = 0.8;
+                ctx.fillStyle = color;
+                ctx.font = HyperionCanvas.font(11);
+                ctx.fillText(label, cx + end.u * scale + 4, cy - end.v * scale);
+            });
+        ctx.globalAlpha = 1;
+    }
+}
+
+HyperionRegistry.register({
+    "id": "lorenz-attractor",
+    "category": "chaos-theory",
+    "name": "Lorenz Attractor",
+    "description": "Strange attractor from atmospheric convection",
+    "equations": ["dx/dt = σ(y - x)", "dy/dt = x(ρ - z) - y", "dz/dt = xy - βz"],
+    "parameters": [
+        {"name": "Sigma (σ)", "min": 5, "max": 15, "default": 10, "unit": ""},
+        {"name": "Rho (ρ)", "min": 20, "max": 35, "default": 28, "unit": ""},
+        {"name": "Beta (β)", "min": 1, "max": 5, "default": 2.67, "unit": ""},
+        {"name": "Projection", "type": "select", "options": ["3D", "XY", "XZ", "YZ"], "default": "3D", "unit": ""},
+        {"name": "Trajectories", "min": 1, "max": 10, "default": 1, "step": 1, "unit": ""},
+        {"name": "Spread Exponent", "min": -8, "max": -1, "default": -3, "step": 1, "unit": "log₁₀"}
+    ],
+    "observables": [
+        {"id": "time", "label": "Time"},
+        {"id": "x", "label": "x"},
+        {"id": "y", "label": "y"},
+        {"id": "z", "label": "z"},
+        {"id": "trajectories", "label": "Trajectories", "format": "integer"},
+        {"id": "maxSpread", "label": "Max spread", "format": "exponential"},
+        {"id": "fixedPoints", "label": "Fixed points C±", "format": "text"},
+        {"id": "projection", "label": "Projection", "format": "text"}
+    ],
+    "presets": [
+        {"name": "Chaotic regime ρ=28", "parameters": {"Sigma (σ)": 10, "Rho (ρ)": 28, "Beta (β)": 2.67}},
+        {"name": "Transient chaos ρ=20", "parameters": {"Rho (ρ)": 20}},
+        {"name": "Butterfly effect (10 trajectories)", "parameters": {"Trajectories": 10, "Spread Exponent": -8}}
+    ],
+    "engine": LorenzAttractorSimulation
+});
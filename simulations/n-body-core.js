@@ -0,0 +1,393 @@
+// HYPERION - N-body core
+// DOM-free gravity engine shared by the page and the N-body worker (G = 1 units)
+
+class NBodySystem {
+    constructor(masses, positions, velocities) {
+        this.count = masses.length;
+        this.masses = Float64Array.from(masses);
+        this.positions = Float64Array.from(positions);
+        this.velocities = Float64Array.from(velocities);
+        this.accelerations = new Float64Array(2 * this.count);
+        this.time = 0;
+        this.settings = { method: 'Direct', softening: 0.01, theta: 0.5 };
+        this.tree = new BarnesHutTree(this.count);
+        this.computeAccelerations();
+    }
+
+    // Deterministic PRNG so a preset always produces the same bodies
+    static random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static fromPreset(preset, count, seed = 1) {
+        const random = NBodySystem.random(seed);
+        const masses = [];
+        const positions = [];
+        const velocities = [];
+
+        switch (preset) {
+            case 'Figure-Eight': {
+                // Chenciner–Montgomery periodic three-body orbit
+                const x = 0.97000436;
+                const y = -0.24308753;
+                const vx = -0.93240737;
+                const vy = -0.86473146;
+                masses.push(1, 1, 1);
+                positions.push(x, y, -x, -y, 0, 0);
+                velocities.push(-vx / 2, -vy / 2, -vx / 2, -vy / 2, vx, vy);
+                break;
+            }
+            case 'Solar System': {
+                // One dominant star with light bodies on circular orbits
+                const planetMass = Math.min(1e-4, 0.01 / Math.max(1, count - 1));
+                masses.push(1);
+                positions.push(0, 0);
+                velocities.push(0, 0);
+                for (let i = 1; i < count; i++) {
+                    const radius = 0.4 * Math.pow(8, (i - 1) / Math.max(1, count - 2)) * (0.95 + 0.1 * random());
+                    const phase = 2 * Math.PI * random();
+                    const speed = Math.sqrt(1 / radius);
+                    masses.push(planetMass);
+                    positions.push(radius * Math.cos(phase), radius * Math.sin(phase));
+                    velocities.push(-speed * Math.sin(phase), speed * Math.cos(phase));
+                }
+                break;
+            }
+            default: {
+                // Rotating disk of equal masses, total mass 1
+                for (let i = 0; i < count; i++) {
+                    const radius = Math.sqrt(random());
+                    const phase = 2 * Math.PI * random();
+                    const speed = 0.7 * Math.sqrt(radius);
+                    masses.push(1 / count);
+                    positions.push(radius * Math.cos(phase), radius * Math.sin(phase));
+                    velocities.push(
+                        -speed * Math.sin(phase) + 0.1 * (random() - 0.5),
+                        speed * Math.cos(phase) + 0.1 * (random() - 0.5)
+                    );
+                }
+            }
+        }
+
+        // Work in the centre-of-mass frame so the system does not drift off screen
+        const total = masses.reduce((sum, m) => sum + m, 0);
+        const com = [0, 0, 0, 0];
+        masses.forEach((m, i) => {
+            com[0] += m * positions[2 * i];
+            com[1] += m * positions[2 * i + 1];
+            com[2] += m * velocities[2 * i];
+            com[3] += m * velocities[2 * i + 1];
+        });
+        masses.forEach((_, i) => {
+            positions[2 * i] -= com[0] / total;
+            positions[2 * i + 1] -= com[1] / total;
+            velocities[2 * i] -= com[2] / total;
+            velocities[2 * i + 1] -= com[3] / total;
+        });
+
+        return new NBodySystem(masses, positions, velocities);
+    }
+
+    // Plain copy of the bodies; fromState() rebuilds a system that steps on exactly as this one would
+    state() {
+        return {
+            masses: this.masses.slice(),
+            positions: this.positions.slice(),
+            velocities: this.velocities.slice(),
+            time: this.time
+        };
+    }
+
+    static fromState(state, settings) {
+        const system = new NBodySystem(state.masses, state.positions, state.velocities);
+        system.time = state.time;
+        if (settings) system.configure(settings);
+        return system;
+    }
+
+    configure(settings) {
+        Object.assign(this.settings, settings);
+        this.computeAccelerations();
+    }
+
+    computeAccelerations() {
+        const { method, softening, theta } = this.settings;
+        if (method === 'Barnes-Hut') {
+            this.tree.build(this.masses, this.positions);
+            this.tree.accelerations(this.masses, this.positions, this.accelerations, softening * softening, theta);
+        } else {
+            this.directAccelerations(softening * softening);
+        }
+    }
+
+    directAccelerations(eps2) {
+        const { count, masses, positions: p, accelerations: a } = this;
+        a.fill(0);
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                const dx = p[2 * j] - p[2 * i];
+                const dy = p[2 * j + 1] - p[2 * i + 1];
+                const r2 = dx * dx + dy * dy + eps2;
+                const inv = 1 / (r2 * Math.sqrt(r2));
+                a[2 * i] += masses[j] * dx * inv;
+                a[2 * i + 1] += masses[j] * dy * inv;
+                a[2 * j] -= masses[i] * dx * inv;
+                a[2 * j + 1] -= masses[i] * dy * inv;
+            }
+        }
+    }
+
+    // Kick-drift-kick leapfrog (velocity Verlet)
+    step(dt) {
+        const { positions: p, velocities: v, accelerations: a } = this;
+        const n = 2 * this.count;
+        for (let k = 0; k < n; k++) {
+            v[k] += 0.5 * dt * a[k];
+            p[k] += dt * v[k];
+        }
+        this.computeAccelerations();
+        for (let k = 0; k < n; k++) {
+            v[k] += 0.5 * dt * a[k];
+        }
+        this.time += dt;
+    }
+
+    kineticEnergy() {
+        let energy = 0;
+        for (let i = 0; i < this.count; i++) {
+            const vx = this.velocities[2 * i];
+            const vy = this.velocities[2 * i + 1];
+            energy += 0.5 * this.masses[i] * (vx * vx + vy * vy);
+        }
+        return energy;
+    }
+
+    potentialEnergy() {
+        const { method, softening, theta } = this.settings;
+        const eps2 = softening * softening;
+        if (method === 'Barnes-Hut') {
+            return this.tree.potential(this.masses, this.positions, eps2, theta);
+        }
+
+        const { count, masses, positions: p } = this;
+        let energy = 0;
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                const dx = p[2 * j] - p[2 * i];
+                const dy = p[2 * j + 1] - p[2 * i + 1];
+                energy -= masses[i] * masses[j] / Math.sqrt(dx * dx + dy * dy + eps2);
+            }
+        }
+        return energy;
+    }
+
+    totalEnergy() {
+        return this.kineticEnergy() + this.potentialEnergy();
+    }
+}
+
+// Quadtree over flat typed arrays; rebuilt every step
+class BarnesHutTree {
+    static MAX_DEPTH = 48;
+
+    constructor(count) {
+        const capacity = Math.max(64, 8 * count);
+        this.capacity = capacity;
+        this.children = new Int32Array(4 * capacity);
+        this.firstBody = new Int32Array(capacity);
+        this.nextBody = new Int32Array(count);
+        this.centerX = new Float64Array(capacity);
+        this.centerY = new Float64Array(capacity);
+        this.halfSize = new Float64Array(capacity);
+        this.mass = new Float64Array(capacity);
+        this.comX = new Float64Array(capacity);
+        this.comY = new Float64Array(capacity);
+        this.depth = new Int32Array(capacity);
+        this.nodeCount = 0;
+        this.stack = new Int32Array(capacity);
+    }
+
+    createNode(cx, cy, half, depth) {
+        if (this.nodeCount === this.capacity) this.grow();
+        const node = this.nodeCount++;
+        this.children.fill(-1, 4 * node, 4 * node + 4);
+        this.firstBody[node] = -1;
+        this.centerX[node] = cx;
+        this.centerY[node] = cy;
+        this.halfSize[node] = half;
+        this.depth[node] = depth;
+        this.mass[node] = 0;
+        return node;
+    }
+
+    grow() {
+        const copy = (array, size) => {
+            const next = new array.constructor(size);
+            next.set(array);
+            return next;
+        };
+        this.capacity *= 2;
+        this.children = copy(this.children, 4 * this.capacity);
+        ['firstBody', 'centerX', 'centerY', 'halfSize', 'mass', 'comX', 'comY', 'depth', 'stack']
+            .forEach(key => { this[key] = copy(this[key], this.capacity); });
+    }
+
+    isLeaf(node) {
+        const base = 4 * node;
+        return this.children[base] < 0 && this.children[base + 1] < 0 &&
+            this.children[base + 2] < 0 && this.children[base + 3] < 0;
+    }
+
+    childFor(node, x, y) {
+        const quadrant = (x >= this.centerX[node] ? 1 : 0) + (y >= this.centerY[node] ? 2 : 0);
+        const slot = 4 * node + quadrant;
+        if (this.children[slot] < 0) {
+            const half = this.halfSize[node] / 2;
+            this.children[slot] = this.createNode(
+                this.centerX[node] + (quadrant & 1 ? half : -half),
+                this.centerY[node] + (quadrant & 2 ? half : -half),
+                half,
+                this.depth[node] + 1
+            );
+        }
+        return this.children[slot];
+    }
+
+    build(masses, positions) {
+        const count = masses.length;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < count; i++) {
+            minX = Math.min(minX, positions[2 * i]);
+            maxX = Math.max(maxX, positions[2 * i]);
+            minY = Math.min(minY, positions[2 * i + 1]);
+            maxY = Math.max(maxY, positions[2 * i + 1]);
+        }
+
+        this.nodeCount = 0;
+        const half = Math.max(maxX - minX, maxY - minY, 1e-9) / 2 * 1.0001;
+        this.createNode((minX + maxX) / 2, (minY + maxY) / 2, half, 0);
+
+        for (let i = 0; i < count; i++) {
+            this.insert(i, positions);
+        }
+
+        // Children are always created after their parent, so a reverse sweep is bottom-up
+        for (let node = this.nodeCount - 1; node >= 0; node--) {
+            let m = 0, mx = 0, my = 0;
+            for (let body = this.firstBody[node]; body >= 0; body = this.nextBody[body]) {
+                m += masses[body];
+                mx += masses[body] * positions[2 * body];
+                my += masses[body] * positions[2 * body + 1];
+            }
+            for (let q = 0; q < 4; q++) {
+                const child = this.children[4 * node + q];
+                if (child < 0) continue;
+                m += this.mass[child];
+                mx += this.mass[child] * this.comX[child];
+                my += this.mass[child] * this.comY[child];
+            }
+            this.mass[node] = m;
+            this.comX[node] = m > 0 ? mx / m : this.centerX[node];
+            this.comY[node] = m > 0 ? my / m : this.centerY[node];
+        }
+    }
+
+    insert(body, positions) {
+        const x = positions[2 * body];
+        const y = positions[2 * body + 1];
+        let node = 0;
+
+        for (;;) {
+            if (this.isLeaf(node)) {
+                const occupant = this.firstBody[node];
+                // Empty leaf, or a cell too small to split: bodies share the leaf's list
+                if (occupant < 0 || this.depth[node] >= BarnesHutTree.MAX_DEPTH) {
+                    this.nextBody[body] = occupant;
+                    this.firstBody[node] = body;
+                    return;
+                }
+                // Push the occupant one level down, then keep descending
+                this.firstBody[node] = -1;
+                const child = this.childFor(node, positions[2 * occupant], positions[2 * occupant + 1]);
+                this.nextBody[occupant] = -1;
+                this.firstBody[child] = occupant;
+            }
+            node = this.childFor(node, x, y);
+        }
+    }
+
+    // Visits every interaction of body i; the callback receives (mass, dx, dy)
+    walk(i, positions, theta, visit) {
+        const x = positions[2 * i];
+        const y = positions[2 * i + 1];
+        const theta2 = theta * theta;
+        let top = 0;
+        this.stack[top++] = 0;
+
+        while (top > 0) {
+            const node = this.stack[--top];
+            if (this.mass[node] === 0) continue;
+
+            const dx = this.comX[node] - x;
+            const dy = this.comY[node] - y;
+            const d2 = dx * dx + dy * dy;
+            const size = 2 * this.halfSize[node];
+
+            if (this.isLeaf(node)) {
+                for (let body = this.firstBody[node]; body >= 0; body = this.nextBody[body]) {
+                    if (body !== i) visit(body, positions[2 * body] - x, positions[2 * body + 1] - y);
+                }
+            } else if (size * size < theta2 * d2) {
+                visit(-1 - node, dx, dy);
+            } else {
+                for (let q = 0; q < 4; q++) {
+                    const child = this.children[4 * node + q];
+                    if (child >= 0) this.stack[top++] = child;
+                }
+            }
+        }
+    }
+
+    sourceMass(source, masses) {
+        return source >= 0 ? masses[source] : this.mass[-1 - source];
+    }
+
+    accelerations(masses, positions, out, eps2, theta) {
+        out.fill(0);
+        for (let i = 0; i < masses.length; i++) {
+            let ax = 0;
+            let ay = 0;
+            this.walk(i, positions, theta, (source, dx, dy) => {
+                const r2 = dx * dx + dy * dy + eps2;
+                const f = this.sourceMass(source, masses) / (r2 * Math.sqrt(r2));
+                ax += f * dx;
+                ay += f * dy;
+            });
+            out[2 * i] = ax;
+            out[2 * i + 1] = ay;
+        }
+    }
+
+    potential(masses, positions, eps2, theta) {
+        let energy = 0;
+        for (let i = 0; i < masses.length; i++) {
+            this.walk(i, positions, theta, (source, dx, dy) => {
+                energy -= masses[i] * this.sourceMass(source, masses) / Math.sqrt(dx * dx + dy * dy + eps2);
+            });
+        }
+        // Every pair was counted from both ends
+        return energy / 2;
+    }
+}
+
+// Node loads this through core.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NBodySystem;
+}
@@ -0,0 +1,401 @@
+// HYPERION - N-body Simulation
+// Page-side driver for NBodySystem: runs it in a worker when possible and plots energy drift
+
+class NBodySimulation {
+    static WORKER_URL = 'simulations/n-body-worker.js';
+    // Steps run per call. Live time owed beyond one batch is dropped rather than queued, so a slow worker
+    // falls behind real time instead of owing more than it can ever catch up on
+    static MAX_STEPS_PER_CALL = 200;
+    // Direct summation is O(n²); above this many bodies Barnes-Hut is used whatever the setting
+    static DIRECT_LIMIT = 500;
+    static DRIFT_HISTORY = 600;
+    static TRAIL_LENGTH = 150;
+    static PALETTE = ['#00bfff', '#00ff41', '#ff6b6b', '#9966cc', '#ffb347', '#4da6ff', '#39ff14', '#ffffff'];
+
+    // Headless engines step on the calling thread, so a synchronous caller sees every step land
+    constructor(params, options = {}) {
+        this.params = { ...params };
+        this.headless = Boolean(options.headless);
+        this.worker = null;
+        this.system = null;
+        this.serial = 0;
+        this.startSystem();
+    }
+
+    // Body count and preset define a new system; the rest retunes the running one
+    setParameters(params) {
+        const previous = this.params;
+        this.params = { ...params };
+
+        if (['Number of Bodies', 'Initial Conditions'].some(name => previous[name] !== params[name])) {
+            this.startSystem();
+        } else {
+            this.configure();
+        }
+    }
+
+    get preset() { return this.params['Initial Conditions'] ?? 'Figure-Eight'; }
+    get timeStep() { return this.params['Time Step'] ?? 0.01; }
+    get speed() { return this.params['Simulation Speed'] ?? 1; }
+
+    get count() {
+        return this.preset === 'Figure-Eight' ? 3 : Math.round(this.params['Number of Bodies'] ?? 3);
+    }
+
+    get settings() {
+        const method = this.params['Force Method'] ?? 'Direct';
+        return {
+            method: method === 'Direct' && this.count > NBodySimulation.DIRECT_LIMIT ? 'Barnes-Hut' : method,
+            softening: this.params['Softening'] ?? 0.01,
+            theta: this.params['Opening Angle'] ?? 0.5
+        };
+    }
+
+    reset() {
+        this.startSystem();
+    }
+
+    startSystem() {
+        this.dispose();
+        this.masses = null;
+        this.positions = null;
+        this.velocities = null;
+        this.time = 0;
+        this.energy = null;
+        this.initialEnergy = null;
+        this.viewExtent = null;
+        this.drift = { t: [], value: [] };
+        this.trails = [];
+        // Sim time owed to the bodies, time a fast-forward still has to feed in, and the part of it the
+        // worker is stepping right now
+        this.accumulator = 0;
+        this.backlog = 0;
+        this.inFlight = 0;
+        this.pending = false;
+
+        this.worker = this.createWorker();
+        if (this.worker) {
+            this.request({ type: 'init', preset: this.preset, count: this.count, seed: 1, settings: this.settings });
+        } else {
+            this.system = NBodySystem.fromPreset(this.preset, this.count, 1);
+            this.system.configure(this.settings);
+            this.receive({ ...this.system.state(), energy: this.system.totalEnergy() });
+        }
+    }
+
+    createWorker() {
+        if (this.headless || typeof Worker === 'undefined') return null;
+
+        try {
+            const worker = new Worker(NBodySimulation.WORKER_URL);
+            worker.onmessage = (event) => {
+                // Answers to requests made before a restart or restore describe a discarded run
+                if (event.data.serial !== this.serial) return;
+                this.pending = false;
+                this.inFlight = 0;
+                this.receive(event.data);
+                this.flush();
+            };
+            // Pages opened from file:// cannot start workers; fall back to the main thread
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.fallBack();
+            };
+            return worker;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    request(message, inFlight = 0) {
+        this.pending = true;
+        this.inFlight = inFlight;
+        this.worker.postMessage({ ...message, serial: ++this.serial });
+    }
+
+    // Carries on from the last bodies the worker sent, or from the preset if it never answered
+    fallBack() {
+        const state = this.masses && this.velocities
+            ? { masses: this.masses, positions: this.positions, velocities: this.velocities, time: this.time }
+            : null;
+        this.dispose();
+        this.backlog += this.inFlight;
+        this.inFlight = 0;
+        this.pending = false;
+
+        if (state) {
+            this.system = NBodySystem.fromState(state, this.settings);
+        } else {
+            this.system = NBodySystem.fromPreset(this.preset, this.count, 1);
+            this.system.configure(this.settings);
+            this.receive({ ...this.system.state(), energy: this.system.totalEnergy() });
+        }
+        this.flush();
+    }
+
+    resetHistory() {
+        this.initialEnergy = null;
+        this.drift = { t: [], value: [] };
+        this.trails = [];
+    }
+
+    configure() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', settings: this.settings });
+        } else if (this.system) {
+            this.system.configure(this.settings);
+        }
+
+        // Drift is measured against the energy of the current force model
+        this.resetHistory();
+    }
+
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.system = null;
+    }
+
+    // Jump to a page-time offset; the time is fed in one batch per call, like live stepping
+    fastForward(seconds) {
+        this.backlog += seconds * this.speed;
+        this.flush();
+    }
+
+    step(dt) {
+        this.accumulator = Math.min(this.accumulator + dt * this.speed, this.batchTime);
+        this.flush();
+    }
+
+    get batchTime() {
+        return NBodySimulation.MAX_STEPS_PER_CALL * this.timeStep;
+    }
+
+    // Runs the whole steps owed, at most one batch, and keeps the remainder; while the worker is busy the
+    // time waits for its reply
+    flush() {
+        if (this.pending) return;
+
+        const { timeStep } = this;
+        const fed = Math.max(0, Math.min(this.backlog, this.batchTime - this.accumulator));
+        this.backlog -= fed;
+        this.accumulator += fed;
+
+        const steps = Math.min(NBodySimulation.MAX_STEPS_PER_CALL, Math.floor(this.accumulator / timeStep + 1e-9));
+        if (steps <= 0) return;
+        this.accumulator = Math.max(0, this.accumulator - steps * timeStep);
+
+        if (this.worker) {
+            this.request({ type: 'advance', steps, timeStep }, steps * timeStep);
+            return;
+        }
+
+        if (!this.system) return;
+        for (let i = 0; i < steps; i++) {
+            this.system.step(timeStep);
+        }
+        this.receive({
+            positions: this.system.positions.slice(),
+            velocities: this.system.velocities.slice(),
+            time: this.system.time,
+            energy: this.system.totalEnergy()
+        });
+    }
+
+    // The bodies as last received plus the time still owed to them; a request in flight joins the backlog.
+    // Before the worker's first answer there are no bodies yet; the preset rebuilds them on restore
+    serialize() {
+        return {
+            masses: this.masses?.slice() ?? null,
+            positions: this.positions?.slice() ?? null,
+            velocities: this.velocities?.slice() ?? null,
+            time: this.time,
+            energy: this.energy,
+            initialEnergy: this.initialEnergy,
+            accumulator: this.accumulator,
+            backlog: this.backlog + this.inFlight
+        };
+    }
+
+    restore(snapshot) {
+        if (!snapshot.masses) {
+            this.startSystem();
+            this.accumulator = snapshot.accumulator;
+            this.backlog = snapshot.backlog;
+            return;
+        }
+
+        this.masses = Float64Array.from(snapshot.masses);
+        this.positions = Float64Array.from(snapshot.positions);
+        this.velocities = Float64Array.from(snapshot.velocities);
+        this.time = snapshot.time;
+        this.energy = snapshot.energy;
+        this.initialEnergy = snapshot.initialEnergy;
+        this.accumulator = snapshot.accumulator;
+        this.backlog = snapshot.backlog;
+        this.inFlight = 0;
+        this.pending = false;
+        this.trails = [];
+
+        const kept = this.drift.t.findIndex(t => t > snapshot.time);
+        if (kept >= 0) {
+            this.drift.t.length = kept;
+            this.drift.value.length = kept;
+        }
+
+        const state = { masses: this.masses, positions: this.positions, velocities: this.velocities, time: this.time };
+        if (this.worker) {
+            this.request({ type: 'load', state, settings: this.settings });
+        } else {
+            this.system = NBodySystem.fromState(state, this.settings);
+        }
+    }
+
+    receive(state) {
+        const { DRIFT_HISTORY, TRAIL_LENGTH } = NBodySimulation;
+        if (state.masses) this.masses = state.masses;
+        this.positions = state.positions;
+        this.velocities = state.velocities;
+        this.time = state.time;
+        this.energy = state.energy;
+
+        if (this.initialEnergy === null) this.initialEnergy = state.energy;
+        this.drift.t.push(state.time);
+        this.drift.value.push((state.energy - this.initialEnergy) / Math.abs(this.initialEnergy));
+        if (this.drift.t.length > DRIFT_HISTORY) {
+            this.drift.t.shift();
+            this.drift.value.shift();
+        }
+
+        if (this.viewExtent === null) {
+            let extent = 0;
+            for (let k = 0; k < state.positions.length; k++) {
+                extent = Math.max(extent, Math.abs(state.positions[k]));
+            }
+            this.viewExtent = Math.max(extent * 1.3, 1);
+        }
+
+        if (this.masses && this.masses.length <= 20) {
+            this.masses.forEach((_, i) => {
+                const trail = this.trails[i] || (this.trails[i] = []);
+                trail.push(state.positions[2 * i], state.positions[2 * i + 1]);
+                if (trail.length > 2 * TRAIL_LENGTH) trail.splice(0, 2);
+            });
+        }
+    }
+
+    observe() {
+        return {
+            time: this.time,
+            bodies: this.masses ? this.masses.length : this.count,
+            forceMethod: this.settings.method,
+            runningOn: this.worker ? 'Web Worker' : 'Main thread',
+            totalEnergy: this.energy,
+            energyDrift: this.drift.value[this.drift.value.length - 1]
+        };
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { PALETTE } = NBodySimulation;
+
+        canvas.clear(ctx, width, height);
+
+        const plotHeight = Math.round(height * 0.24);
+        const view = { x: 12, y: 12, width: width - 24, height: height - plotHeight - 30 };
+        canvas.panel(ctx, view, `${this.preset} · ${this.settings.method}`);
+
+        if (!this.positions || !this.masses) {
+            canvas.legend(ctx, view.x + 8, view.y + 24, [{ text: 'Preparing bodies…' }]);
+            return;
+        }
+
+        const scale = Math.min(view.width, view.height) / (2 * this.viewExtent);
+        const cx = view.x + view.width / 2;
+        const cy = view.y + view.height / 2;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(view.x, view.y, view.width, view.height);
+        ctx.clip();
+
+        this.trails.forEach((trail, i) => {
+            ctx.strokeStyle = PALETTE[i % PALETTE.length];
+            ctx.globalAlpha = 0.4;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let k = 0; k < trail.length; k += 2) {
+                const x = cx + trail[k] * scale;
+                const y = cy - trail[k + 1] * scale;
+                if (k === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+
+        const count = this.masses.length;
+        if (count > 50) {
+            // Thousands of bodies: plain points are all the eye can resolve
+            ctx.fillStyle = 'rgba(0, 191, 255, 0.8)';
+            for (let i = 0; i < count; i++) {
+                ctx.fillRect(cx + this.positions[2 * i] * scale - 1, cy - this.positions[2 * i + 1] * scale - 1, 2, 2);
+            }
+        } else {
+            const maxMass = Math.max(...this.masses);
+            for (let i = 0; i < count; i++) {
+                const radius = 3 + 7 * Math.cbrt(this.masses[i] / maxMass);
+                const color = PALETTE[i % PALETTE.length];
+                ctx.fillStyle = color;
+                ctx.shadowColor = color;
+                ctx.shadowBlur = 12;
+                ctx.beginPath();
+                ctx.arc(cx + this.positions[2 * i] * scale, cy - this.positions[2 * i + 1] * scale, radius, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.shadowBlur = 0;
+        }
+        ctx.restore();
+
+        const rect = { x: 12, y: height - plotHeight - 12, width: width - 24, height: plotHeight };
+        const tRange = this.drift.t.length > 1
+            ? [this.drift.t[0], Math.max(this.drift.t[this.drift.t.length - 1], this.drift.t[0] + 1e-9)]
+            : [0, 1];
+        const plot = canvas.axes(ctx, rect, tRange, canvas.range(this.drift.value, { symmetric: true, minSpan: 1e-12 }),
+            { title: 'Relative energy drift ΔE/|E₀|', xLabel: 't' });
+        canvas.line(ctx, plot, this.drift.t, this.drift.value, colors.green);
+    }
+}
+
+HyperionRegistry.register({
+    "id": "n-body-simulation",
+    "category": "gravity-systems",
+    "name": "N-body Simulation",
+    "description": "Multiple body gravitational interactions",
+    "equations": ["F_ij = Gm_im_j(r_j - r_i)/|r_j - r_i|³", "Numerical integration", "Leapfrog: v += a·dt/2, x += v·dt, v += a·dt/2", "Softening: r² → r² + ε²", "Barnes–Hut: s/d < θ"],
+    "parameters": [
+        {"name": "Number of Bodies", "min": 2, "max": 5000, "default": 3, "step": 1, "unit": ""},
+        {"name": "Time Step", "min": 0.001, "max": 0.1, "default": 0.01, "step": 0.001, "unit": "s"},
+        {"name": "Simulation Speed", "min": 0.1, "max": 5.0, "default": 1.0, "unit": "x"},
+        {"name": "Initial Conditions", "type": "select", "options": ["Figure-Eight", "Random Cluster", "Solar System"], "default": "Figure-Eight", "unit": ""},
+        {"name": "Force Method", "type": "select", "options": ["Direct", "Barnes-Hut"], "default": "Direct", "unit": ""},
+        {"name": "Softening", "min": 0.001, "max": 0.2, "default": 0.01, "step": 0.001, "unit": ""},
+        {"name": "Opening Angle", "min": 0.1, "max": 1.5, "default": 0.5, "unit": ""}
+    ],
+    "observables": [
+        {"id": "time", "label": "Time"},
+        {"id": "bodies", "label": "Bodies", "format": "integer"},
+        {"id": "forceMethod", "label": "Force method", "format": "text"},
+        {"id": "runningOn", "label": "Running on", "format": "text"},
+        {"id": "totalEnergy", "label": "Total energy E", "format": "exponential", "precision": 5},
+        {"id": "energyDrift", "label": "Energy drift ΔE/|E₀|", "format": "exponential"}
+    ],
+    "presets": [
+        {"name": "Figure-eight choreography", "parameters": {}},
+        {"name": "Solar system", "parameters": {"Initial Conditions": "Solar System"}},
+        {"name": "Cluster of 1000 with Barnes-Hut", "parameters": {"Number of Bodies": 1000, "Initial Conditions": "Random Cluster", "Force Method": "Barnes-Hut"}}
+    ],
+    "engine": NBodySimulation
+});
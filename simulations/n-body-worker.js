@@ -0,0 +1,53 @@
+// HYPERION - N-body worker
+// Runs NBodySystem off the main thread and streams the bodies back to the page
+
+importScripts('n-body-core.js');
+
+let system = null;
+
+// Replies carry the serial of the request so the page can drop answers to requests it has since replaced
+function reply(serial, withMasses = false) {
+    const state = system.state();
+    const message = {
+        type: 'state',
+        serial,
+        positions: state.positions,
+        velocities: state.velocities,
+        time: state.time,
+        energy: system.totalEnergy()
+    };
+    if (withMasses) message.masses = state.masses;
+    self.postMessage(message, [state.positions.buffer, state.velocities.buffer]);
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init':
+            system = NBodySystem.fromPreset(message.preset, message.count, message.seed);
+            system.configure(message.settings);
+            reply(message.serial, true);
+            break;
+
+        case 'load':
+            system = NBodySystem.fromState(message.state, message.settings);
+            reply(message.serial, true);
+            break;
+
+        case 'configure':
+            if (!system) return;
+            system.configure(message.settings);
+            break;
+
+        // The page decides the step count, so a run takes the same steps however requests are batched
+        case 'advance': {
+            if (!system) return;
+            for (let i = 0; i < message.steps; i++) {
+                system.step(message.timeStep);
+            }
+            reply(message.serial);
+            break;
+        }
+    }
+};
@@ -0,0 +1,282 @@
+// HYPERION - Newton's Cradle
+// Pendulum chain with sequential impulse collisions
+
+class NewtonsCradleSimulation {
+    static GRAVITY = 9.81;
+    static STRING_LENGTH = 5.5;
+    static BALL_RADIUS = 0.35;
+    static SUBSTEP = 1 / 1000;
+
+    constructor(params) {
+        this.params = {};
+        this.setParameters(params);
+        this.reset();
+    }
+
+    setParameters(params) {
+        const previous = this.params;
+        this.params = { ...params };
+
+        // Changing the chain layout or the release speed means a new release
+        const layoutChanged = ['Velocity', 'Number of Balls', 'Released Balls']
+            .some(name => previous[name] !== undefined && previous[name] !== params[name]);
+        if (layoutChanged) this.reset();
+    }
+
+    get ballCount() {
+        return Math.round(this.params['Number of Balls'] ?? 5);
+    }
+
+    get releasedCount() {
+        return Math.min(Math.round(this.params['Released Balls'] ?? 1), this.ballCount - 1);
+    }
+
+    get mass() {
+        return this.params['Mass'] ?? 1;
+    }
+
+    get restitution() {
+        return this.params['Restitution'] ?? 1;
+    }
+
+    reset() {
+        const { GRAVITY, STRING_LENGTH } = NewtonsCradleSimulation;
+        const speed = this.params['Velocity'] ?? 5;
+
+        // Pull the released balls back far enough to reach the chosen speed at the bottom
+        const cosAngle = Math.max(-1, 1 - (speed * speed) / (2 * GRAVITY * STRING_LENGTH));
+        const releaseAngle = -Math.acos(cosAngle);
+
+        this.time = 0;
+        this.impactCount = 0;
+        this.lastImpact = null;
+        this.impactFlash = 0;
+        this.balls = Array.from({ length: this.ballCount }, (_, i) => ({
+            angle: i < this.releasedCount ? releaseAngle : 0,
+            angularVelocity: 0
+        }));
+    }
+
+    pivotX(index) {
+        const { BALL_RADIUS } = NewtonsCradleSimulation;
+        return (index - (this.ballCount - 1) / 2) * 2 * BALL_RADIUS;
+    }
+
+    position(index) {
+        const { STRING_LENGTH } = NewtonsCradleSimulation;
+        const ball = this.balls[index];
+        return {
+            x: this.pivotX(index) + STRING_LENGTH * Math.sin(ball.angle),
+            y: STRING_LENGTH * Math.cos(ball.angle)
+        };
+    }
+
+    velocity(index) {
+        const { STRING_LENGTH } = NewtonsCradleSimulation;
+        const ball = this.balls[index];
+        const speed = STRING_LENGTH * ball.angularVelocity;
+        return { x: speed * Math.cos(ball.angle), y: -speed * Math.sin(ball.angle) };
+    }
+
+    totalMomentum() {
+        return this.balls.reduce((sum, _, i) => sum + this.mass * this.velocity(i).x, 0);
+    }
+
+    kineticEnergy() {
+        const { STRING_LENGTH } = NewtonsCradleSimulation;
+        return this.balls.reduce((sum, ball) => {
+            const speed = STRING_LENGTH * ball.angularVelocity;
+            return sum + 0.5 * this.mass * speed * speed;
+        }, 0);
+    }
+
+    step(dt) {
+        const { SUBSTEP } = NewtonsCradleSimulation;
+        const substeps = Math.max(1, Math.ceil(dt / SUBSTEP));
+        const h = dt / substeps;
+
+        for (let s = 0; s < substeps; s++) {
+            this.integrate(h);
+            this.resolveCollisions();
+            this.time += h;
+        }
+
+        this.impactFlash = Math.max(0, this.impactFlash - dt * 3);
+    }
+
+    serialize() {
+        const { time, impactCount, lastImpact, impactFlash, balls } = this;
+        return { time, impactCount, lastImpact, impactFlash, balls };
+    }
+
+    restore(snapshot) {
+        Object.assign(this, snapshot);
+    }
+
+    integrate(h) {
+        const { GRAVITY, STRING_LENGTH } = NewtonsCradleSimulation;
+
+        // Semi-implicit Euler keeps the swing amplitude stable between impacts
+        this.balls.forEach(ball => {
+            ball.angularVelocity -= (GRAVITY / STRING_LENGTH) * Math.sin(ball.angle) * h;
+            ball.angle += ball.angularVelocity * h;
+        });
+    }
+
+    resolveCollisions() {
+        const { BALL_RADIUS, STRING_LENGTH } = NewtonsCradleSimulation;
+        const contactDistance = 2 * BALL_RADIUS * (1 + 1e-4);
+        const maxPasses = this.ballCount * this.ballCount * 2;
+        let before = null;
+
+        // Sweep neighbouring pairs until no contact is still closing, so an impulse
+        // travels ball by ball through the chain rather than all at once
+        for (let pass = 0; pass < maxPasses; pass++) {
+            let applied = false;
+
+            for (let i = 0; i < this.ballCount - 1; i++) {
+                const a = this.position(i);
+                const b = this.position(i + 1);
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const distance = Math.hypot(dx, dy);
+                if (distance > contactDistance) continue;
+
+                const nx = dx / distance;
+                const ny = dy / distance;
+                const va = this.velocity(i);
+                const vb = this.velocity(i + 1);
+                const closingSpeed = (va.x - vb.x) * nx + (va.y - vb.y) * ny;
+                if (closingSpeed <= 1e-9) continue;
+
+                if (!before) {
+                    before = { momentum: this.totalMomentum(), energy: this.kineticEnergy() };
+                }
+
+                // Each bob can only move along its tangent, so its effective inverse
+                // mass along the contact normal is (t·n)² / m
+                const ballA = this.balls[i];
+                const ballB = this.balls[i + 1];
+                const ta = Math.cos(ballA.angle) * nx - Math.sin(ballA.angle) * ny;
+                const tb = Math.cos(ballB.angle) * nx - Math.sin(ballB.angle) * ny;
+                const inverseMass = (ta * ta + tb * tb) / this.mass;
+                if (inverseMass < 1e-12) continue;
+
+                const impulse = (1 + this.restitution) * closingSpeed / inverseMass;
+                ballA.angularVelocity -= impulse * ta / (this.mass * STRING_LENGTH);
+                ballB.angularVelocity += impulse * tb / (this.mass * STRING_LENGTH);
+                applied = true;
+            }
+
+            if (!applied) break;
+        }
+
+        if (before) {
+            this.impactCount++;
+            this.impactFlash = 1;
+            this.lastImpact = {
+                time: this.time,
+                momentumBefore: before.momentum,
+                momentumAfter: this.totalMomentum(),
+                energyBefore: before.energy,
+                energyAfter: this.kineticEnergy()
+            };
+        }
+    }
+
+    observe() {
+        const impact = this.lastImpact;
+
+        return {
+            energy: this.kineticEnergy(),
+            momentum: this.totalMomentum(),
+            time: this.time,
+            impacts: this.impactCount,
+            momentumBefore: impact?.momentumBefore,
+            momentumAfter: impact?.momentumAfter,
+            energyBefore: impact?.energyBefore,
+            energyAfter: impact?.energyAfter,
+            energyRetained: impact && impact.energyBefore > 0 ? 100 * impact.energyAfter / impact.energyBefore : null
+        };
+    }
+
+    draw(ctx, width, height) {
+        const { STRING_LENGTH, BALL_RADIUS } = NewtonsCradleSimulation;
+        const frameWidth = this.ballCount * 2 * BALL_RADIUS + 2 * STRING_LENGTH;
+        const scale = Math.min(width * 0.9 / frameWidth, height * 0.75 / (STRING_LENGTH + BALL_RADIUS));
+        const originX = width / 2;
+        const originY = height * 0.1;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Frame bar
+        const barHalf = (this.ballCount * BALL_RADIUS + BALL_RADIUS) * scale;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(originX - barHalf, originY);
+        ctx.lineTo(originX + barHalf, originY);
+        ctx.stroke();
+
+        for (let i = 0; i < this.ballCount; i++) {
+            const pivot = originX + this.pivotX(i) * scale;
+            const { x, y } = this.position(i);
+            const bx = originX + x * scale;
+            const by = originY + y * scale;
+
+            ctx.strokeStyle = 'rgba(176, 176, 176, 0.7)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(pivot, originY);
+            ctx.lineTo(bx, by);
+            ctx.stroke();
+
+            const radius = BALL_RADIUS * scale;
+            const gradient = ctx.createRadialGradient(bx - radius / 3, by - radius / 3, radius / 6, bx, by, radius);
+            gradient.addColorStop(0, '#ffffff');
+            gradient.addColorStop(0.4, '#4da6ff');
+            gradient.addColorStop(1, '#00507a');
+
+            ctx.shadowColor = `rgba(0, 191, 255, ${0.3 + 0.7 * this.impactFlash})`;
+            ctx.shadowBlur = 10 + 20 * this.impactFlash;
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(bx, by, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+        }
+    }
+}
+
+HyperionRegistry.register({
+    "id": "newtons-cradle",
+    "category": "core-mechanics",
+    "name": "Newton's Cradle",
+    "description": "Demonstrates conservation of momentum and energy through colliding spheres",
+    "equations": ["p = mv", "KE = ½mv²", "Conservation: Σp_i = Σp_f"],
+    "parameters": [
+        {"name": "Mass", "min": 0.1, "max": 2.0, "default": 1.0, "unit": "kg"},
+        {"name": "Velocity", "min": 0, "max": 10, "default": 5, "unit": "m/s"},
+        {"name": "Restitution", "min": 0.5, "max": 1.0, "default": 0.95, "unit": ""},
+        {"name": "Number of Balls", "min": 2, "max": 7, "default": 5, "step": 1, "unit": ""},
+        {"name": "Released Balls", "min": 1, "max": 4, "default": 1, "step": 1, "unit": ""}
+    ],
+    "observables": [
+        {"id": "energy", "label": "Kinetic Energy", "unit": "J", "precision": 3},
+        {"id": "momentum", "label": "Momentum", "unit": "kg⋅m/s", "precision": 3},
+        {"id": "time", "label": "Time", "unit": "s"},
+        {"id": "impacts", "label": "Impacts", "format": "integer"},
+        {"id": "momentumBefore", "label": "p before impact", "unit": "kg⋅m/s", "precision": 3},
+        {"id": "momentumAfter", "label": "p after impact", "unit": "kg⋅m/s", "precision": 3},
+        {"id": "energyBefore", "label": "KE before impact", "unit": "J", "precision": 3},
+        {"id": "energyAfter", "label": "KE after impact", "unit": "J", "precision": 3},
+        {"id": "energyRetained", "label": "KE retained", "unit": "%", "precision": 1}
+    ],
+    "presets": [
+        {"name": "Single ball release", "parameters": {}},
+        {"name": "Two-ball release", "parameters": {"Released Balls": 2}},
+        {"name": "Inelastic collisions (e = 0.7)", "parameters": {"Restitution": 0.7}},
+        {"name": "Seven balls, three released", "parameters": {"Number of Balls": 7, "Released Balls": 3}}
+    ],
+    "engine": NewtonsCradleSimulation
+});
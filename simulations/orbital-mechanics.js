@@ -0,0 +1,286 @@
+// HYPERION - Orbital Mechanics
+// Two-body Kepler propagator for an elliptical orbit
+
+class OrbitalMechanicsSimulation {
+    static G = 6.674e-11;
+    static TRAIL_LENGTH = 240;
+    // Fast time acceleration is substepped so the trail samples an orbit at least this finely, within a
+    // per-step budget
+    static SAMPLES_PER_ORBIT = 240;
+    static MAX_SUBSTEPS = 1000;
+
+    constructor(params) {
+        this.params = { ...params };
+        this.reset();
+    }
+
+    // Changing the orbit keeps the satellite at the same mean anomaly
+    setParameters(params) {
+        this.params = { ...params };
+        this.trail = [];
+        this.solve();
+    }
+
+    get mu() { return OrbitalMechanicsSimulation.G * (this.params['Central Mass'] ?? 5.97e24); }
+    get centralRadius() { return this.params['Central Radius'] ?? 6.371e6; }
+    get semiMajorAxis() { return this.params['Orbital Radius'] ?? 8e6; }
+    get eccentricity() { return this.params['Eccentricity'] ?? 0; }
+    get timeAcceleration() { return this.params['Time Acceleration'] ?? 1000; }
+
+    get meanMotion() {
+        return Math.sqrt(this.mu / Math.pow(this.semiMajorAxis, 3));
+    }
+
+    get period() {
+        return 2 * Math.PI / this.meanMotion;
+    }
+
+    reset() {
+        this.time = 0;
+        this.meanAnomaly = 0;
+        this.trail = [];
+        this.solve();
+    }
+
+    // A step spanning whole orbits still lays down a trail point every 1/SAMPLES_PER_ORBIT of one
+    step(dt) {
+        const { SAMPLES_PER_ORBIT, MAX_SUBSTEPS } = OrbitalMechanicsSimulation;
+        const elapsed = dt * this.timeAcceleration;
+        const substeps = Math.min(MAX_SUBSTEPS, Math.max(1, Math.ceil(elapsed * SAMPLES_PER_ORBIT / this.period)));
+        const h = elapsed / substeps;
+        for (let i = 0; i < substeps; i++) {
+            this.time += h;
+            this.meanAnomaly = (this.meanAnomaly + this.meanMotion * h) % (2 * Math.PI);
+            this.solve();
+        }
+    }
+
+    serialize() {
+        const { time, meanAnomaly, trail } = this;
+        return { time, meanAnomaly, trail };
+    }
+
+    restore(snapshot) {
+        this.time = snapshot.time;
+        this.meanAnomaly = snapshot.meanAnomaly;
+        this.solve();
+        this.trail = snapshot.trail;
+    }
+
+    // Kepler's equation M = E - e sin E by Newton iteration
+    static eccentricAnomaly(meanAnomaly, e) {
+        let E = e < 0.8 ? meanAnomaly : Math.PI;
+        for (let i = 0; i < 50; i++) {
+            const delta = (E - e * Math.sin(E) - meanAnomaly) / (1 - e * Math.cos(E));
+            E -= delta;
+            if (Math.abs(delta) < 1e-12) break;
+        }
+        return E;
+    }
+
+    solve() {
+        const a = this.semiMajorAxis;
+        const e = this.eccentricity;
+        const E = OrbitalMechanicsSimulation.eccentricAnomaly(this.meanAnomaly, e);
+
+        this.trueAnomaly = 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+        this.radius = a * (1 - e * Math.cos(E));
+        this.position = {
+            x: a * (Math.cos(E) - e),
+            y: a * Math.sqrt(1 - e * e) * Math.sin(E)
+        };
+
+        // Perifocal velocity from the true anomaly
+        const h = this.angularMomentum();
+        const factor = this.mu / h;
+        this.velocity = {
+            x: -factor * Math.sin(this.trueAnomaly),
+            y: factor * (e + Math.cos(this.trueAnomaly))
+        };
+
+        this.trail.push({ ...this.position });
+        if (this.trail.length > OrbitalMechanicsSimulation.TRAIL_LENGTH) this.trail.shift();
+    }
+
+    angularMomentum() {
+        const e = this.eccentricity;
+        return Math.sqrt(this.mu * this.semiMajorAxis * (1 - e * e));
+    }
+
+    specificEnergy() {
+        return -this.mu / (2 * this.semiMajorAxis);
+    }
+
+    observe() {
+        const a = this.semiMajorAxis;
+        const e = this.eccentricity;
+
+        // Per-unit-mass quantities stand in for energy and momentum
+        return {
+            time: this.time,
+            period: this.period,
+            specificEnergy: this.specificEnergy(),
+            angularMomentum: this.angularMomentum(),
+            trueAnomaly: (this.trueAnomaly * 180 / Math.PI + 360) % 360,
+            radius: this.radius / 1000,
+            speed: Math.hypot(this.velocity.x, this.velocity.y) / 1000,
+            periapsis: a * (1 - e) / 1000,
+            apoapsis: a * (1 + e) / 1000,
+            periapsisAltitude: (a * (1 - e) - this.centralRadius) / 1000,
+            status: this.grazes ? 'Periapsis below the surface' : 'Clear of the surface'
+        };
+    }
+
+    // An orbit dipping under the central body's surface would have crashed; it is drawn but flagged
+    get grazes() {
+        return this.semiMajorAxis * (1 - this.eccentricity) < this.centralRadius;
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const a = this.semiMajorAxis;
+        const e = this.eccentricity;
+        const b = a * Math.sqrt(1 - e * e);
+
+        canvas.clear(ctx, width, height);
+
+        // The focus (central body) sits at the origin; the ellipse centre is at -ae
+        const scale = Math.min((width - 80) / (2 * a), (height - 80) / (2 * b));
+        const originX = width / 2 + a * e * scale;
+        const originY = height / 2;
+        const toX = x => originX + x * scale;
+        const toY = y => originY - y * scale;
+
+        // Orbit
+        ctx.strokeStyle = 'rgba(0, 191, 255, 0.4)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.ellipse(toX(-a * e), originY, a * scale, b * scale, 0, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Apsides line and markers
+        ctx.setLineDash([4, 6]);
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(toX(a * (1 - e)), originY);
+        ctx.lineTo(toX(-a * (1 + e)), originY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        this.drawApsis(ctx, toX(a * (1 - e)), originY, 'periapsis', colors.red, 'left');
+        this.drawApsis(ctx, toX(-a * (1 + e)), originY, 'apoapsis', colors.purpleLight, 'right');
+
+        // Central body, and its true size once that is larger than the glow
+        const bodyRadius = this.centralRadius * scale;
+        if (bodyRadius > 18) {
+            ctx.fillStyle = 'rgba(255, 179, 71, 0.15)';
+            ctx.strokeStyle = this.grazes ? colors.red : 'rgba(255, 179, 71, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(originX, originY, bodyRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+        const bodyGradient = ctx.createRadialGradient(originX, originY, 2, originX, originY, 18);
+        bodyGradient.addColorStop(0, '#ffffff');
+        bodyGradient.addColorStop(0.4, colors.orange);
+        bodyGradient.addColorStop(1, 'rgba(255, 179, 71, 0)');
+        ctx.fillStyle = bodyGradient;
+        ctx.beginPath();
+        ctx.arc(originX, originY, 18, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Trail
+        ctx.strokeStyle = colors.green;
+        for (let i = 1; i < this.trail.length; i++) {
+            ctx.globalAlpha = i / this.trail.length;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(toX(this.trail[i - 1].x), toY(this.trail[i - 1].y));
+            ctx.lineTo(toX(this.trail[i].x), toY(this.trail[i].y));
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+
+        // Radius vector, satellite and velocity
+        const sx = toX(this.position.x);
+        const sy = toY(this.position.y);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.beginPath();
+        ctx.moveTo(originX, originY);
+        ctx.lineTo(sx, sy);
+        ctx.stroke();
+
+        const speed = Math.hypot(this.velocity.x, this.velocity.y);
+        const arrow = 40 / speed;
+        ctx.strokeStyle = colors.blue;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(sx, sy);
+        ctx.lineTo(sx + this.velocity.x * arrow, sy - this.velocity.y * arrow);
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.shadowColor = colors.green;
+        ctx.shadowBlur = 12;
+        ctx.beginPath();
+        ctx.arc(sx, sy, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+
+        const legend = [
+            { text: `a = ${(a / 1000).toFixed(0)} km   e = ${e.toFixed(3)}` },
+            { text: `T = ${HyperionRegistry.formatDuration(this.period)}` },
+            { text: `time × ${this.timeAcceleration.toFixed(0)}`, color: colors.green }
+        ];
+        if (this.grazes) legend.push({ text: '⚠ periapsis is below the surface', color: colors.red });
+        canvas.legend(ctx, 16, 16, legend);
+    }
+
+    drawApsis(ctx, x, y, label, color, align) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = HyperionCanvas.font(10);
+        ctx.textAlign = align;
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(label, x + (align === 'left' ? 6 : -6), y - 6);
+    }
+}
+
+HyperionRegistry.register({
+    "id": "orbital-mechanics",
+    "category": "gravity-systems",
+    "name": "Orbital Mechanics",
+    "description": "Planetary orbits and satellite motion",
+    "equations": ["F = GMm/r²", "v = √(GM/r)", "T² = (4π²/GM)r³", "M = E - e sin E", "ε = -GM/2a"],
+    "parameters": [
+        {"name": "Central Mass", "min": 1e24, "max": 2e30, "default": 5.97e24, "unit": "kg"},
+        {"name": "Central Radius", "min": 1e5, "max": 1e9, "default": 6.371e6, "unit": "m"},
+        {"name": "Orbital Radius", "min": 1e6, "max": 1e9, "default": 8e6, "unit": "m"},
+        {"name": "Eccentricity", "min": 0, "max": 0.9, "default": 0.1, "unit": ""},
+        {"name": "Time Acceleration", "min": 1, "max": 1000000, "default": 1000, "unit": "x"}
+    ],
+    "observables": [
+        {"id": "time", "label": "Time", "format": "duration"},
+        {"id": "period", "label": "Period", "format": "duration"},
+        {"id": "specificEnergy", "label": "Specific energy ε", "unit": "J/kg", "format": "exponential", "precision": 3},
+        {"id": "angularMomentum", "label": "Angular momentum h", "unit": "m²/s", "format": "exponential", "precision": 3},
+        {"id": "trueAnomaly", "label": "True anomaly ν", "unit": "°", "precision": 1},
+        {"id": "radius", "label": "Radius r", "unit": "km", "precision": 1},
+        {"id": "speed", "label": "Speed v", "unit": "km/s", "precision": 3},
+        {"id": "periapsis", "label": "Periapsis", "unit": "km", "precision": 1},
+        {"id": "apoapsis", "label": "Apoapsis", "unit": "km", "precision": 1},
+        {"id": "periapsisAltitude", "label": "Periapsis altitude", "unit": "km", "precision": 1},
+        {"id": "status", "label": "Status", "format": "text"}
+    ],
+    "presets": [
+        {"name": "Low Earth orbit (400 km)", "parameters": {"Orbital Radius": 6.771e6, "Eccentricity": 0, "Time Acceleration": 100}},
+        {"name": "Geostationary orbit", "parameters": {"Orbital Radius": 4.2164e7, "Eccentricity": 0, "Time Acceleration": 10000}},
+        {"name": "Molniya orbit (e = 0.74)", "parameters": {"Orbital Radius": 2.66e7, "Eccentricity": 0.74, "Time Acceleration": 10000}}
+    ],
+    "engine": OrbitalMechanicsSimulation
+});
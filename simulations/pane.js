@@ -0,0 +1,60 @@
+// HYPERION - Simulation panes
+// One engine instance with its own parameters and canvas, so several runs of a simulation can share a page
+
+class HyperionPane {
+    static LABELS = ['A', 'B', 'C', 'D'];
+
+    // id scopes the pane's control ids and element is its card on the page; parameters are values by name
+    constructor(simulation, id, parameters) {
+        this.simulation = simulation;
+        this.id = id;
+        this.state = { ...parameters };
+        this.element = null;
+        this.canvas = null;
+        this.engine = null;
+    }
+
+    // A fresh engine on the pane's canvas starts a fresh run
+    mount(canvas) {
+        this.dispose();
+        this.canvas = canvas;
+        this.engine = HyperionCore.createEngine(this.simulation.id, this.state);
+        this.engine.onViewChange = () => this.draw();
+        this.engine.attach?.(canvas);
+        this.resize();
+        this.draw();
+    }
+
+    setParameter(name, value) {
+        this.state[name] = value;
+        this.engine?.setParameters({ ...this.state });
+    }
+
+    step(dt) {
+        this.engine?.step(dt);
+    }
+
+    observe() {
+        return this.engine ? this.engine.observe() : {};
+    }
+
+    resize() {
+        if (!this.canvas || !this.engine) return;
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(this.canvas.clientWidth * ratio);
+        this.canvas.height = Math.round(this.canvas.clientHeight * ratio);
+    }
+
+    draw() {
+        if (!this.canvas || !this.engine) return;
+        const ratio = window.devicePixelRatio || 1;
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.engine.draw(ctx, this.canvas.width / ratio, this.canvas.height / ratio);
+    }
+
+    dispose() {
+        this.engine?.dispose?.();
+        this.engine = null;
+    }
+}
@@ -0,0 +1,323 @@
+// HYPERION - Projectile Motion
+// Point-mass flight with optional linear or quadratic air drag
+
+class ProjectileMotionSimulation {
+    static TIME_STEP = 1e-3;
+    static MAX_STEPS = 400000;
+    static MAX_SAMPLES = 2000;
+
+    constructor(params) {
+        this.setParameters(params);
+    }
+
+    // Every parameter shapes the whole flight, so any change launches a new one
+    setParameters(params) {
+        this.params = { ...params };
+        this.reset();
+    }
+
+    get speed() { return this.params['Initial Velocity'] ?? 20; }
+    get angle() { return (this.params['Launch Angle'] ?? 45) * Math.PI / 180; }
+    get gravity() { return this.params['Gravity'] ?? 9.81; }
+    get dragModel() { return this.params['Drag Model'] ?? 'None'; }
+    get linearDrag() { return this.params['Linear Drag'] ?? 0; }
+    get quadraticDrag() { return this.params['Quadratic Drag'] ?? 0; }
+    get mass() { return this.params['Mass'] ?? 1; }
+
+    reset() {
+        this.time = 0;
+        this.analytic = this.solveAnalytic();
+        this.trajectory = this.integrate();
+    }
+
+    solveAnalytic() {
+        const { speed, angle, gravity } = this;
+        const vx = speed * Math.cos(angle);
+        const vy = speed * Math.sin(angle);
+        return {
+            range: speed * speed * Math.sin(2 * angle) / gravity,
+            apex: vy * vy / (2 * gravity),
+            flightTime: 2 * vy / gravity,
+            position: t => ({ x: vx * t, y: vy * t - 0.5 * gravity * t * t })
+        };
+    }
+
+    acceleration(vx, vy) {
+        switch (this.dragModel) {
+            case 'Linear': {
+                const k = this.linearDrag / this.mass;
+                return { ax: -k * vx, ay: -this.gravity - k * vy };
+            }
+            case 'Quadratic': {
+                const k = this.quadraticDrag / this.mass;
+                const speed = Math.hypot(vx, vy);
+                return { ax: -k * speed * vx, ay: -this.gravity - k * speed * vy };
+            }
+            default:
+                return { ax: 0, ay: -this.gravity };
+        }
+    }
+
+    // RK4 until the projectile returns to launch height; samples are decimated for drawing
+    integrate() {
+        const { TIME_STEP: h, MAX_STEPS, MAX_SAMPLES } = ProjectileMotionSimulation;
+        const stride = Math.max(1, Math.ceil(this.analytic.flightTime / h / MAX_SAMPLES));
+        const samples = { t: [0], x: [0], y: [0], vx: [], vy: [] };
+
+        let x = 0;
+        let y = 0;
+        let vx = this.speed * Math.cos(this.angle);
+        let vy = this.speed * Math.sin(this.angle);
+        let t = 0;
+        let apex = 0;
+        samples.vx.push(vx);
+        samples.vy.push(vy);
+
+        const derivative = (state) => {
+            const { ax, ay } = this.acceleration(state[2], state[3]);
+            return [state[2], state[3], ax, ay];
+        };
+
+        for (let n = 1; n <= MAX_STEPS; n++) {
+            const s = [x, y, vx, vy];
+            const k1 = derivative(s);
+            const k2 = derivative(s.map((v, i) => v + 0.5 * h * k1[i]));
+            const k3 = derivative(s.map((v, i) => v + 0.5 * h * k2[i]));
+            const k4 = derivative(s.map((v, i) => v + h * k3[i]));
+            const next = s.map((v, i) => v + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+
+            if (next[1] < 0) {
+                // Interpolate the touchdown between the last two steps
+                const f = y / (y - next[1]);
+                x += f * (next[0] - x);
+                vx += f * (next[2] - vx);
+                vy += f * (next[3] - vy);
+                t += f * h;
+                y = 0;
+                samples.t.push(t);
+                samples.x.push(x);
+                samples.y.push(y);
+                samples.vx.push(vx);
+                samples.vy.push(vy);
+                break;
+            }
+
+            [x, y, vx, vy] = next;
+            t = n * h;
+            apex = Math.max(apex, y);
+
+            if (n % stride === 0) {
+                samples.t.push(t);
+                samples.x.push(x);
+                samples.y.push(y);
+                samples.vx.push(vx);
+                samples.vy.push(vy);
+            }
+        }
+
+        return { samples, range: x, apex, flightTime: t };
+    }
+
+    // Linear interpolation between stored samples
+    stateAt(time) {
+        const { t, x, y, vx, vy } = this.trajectory.samples;
+        if (time >= t[t.length - 1]) {
+            const last = t.length - 1;
+            return { x: x[last], y: y[last], vx: vx[last], vy: vy[last], index: last };
+        }
+
+        let lo = 0;
+        let hi = t.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (t[mid] <= time) lo = mid; else hi = mid;
+        }
+        const f = (time - t[lo]) / (t[hi] - t[lo] || 1);
+        const lerp = (a) => a[lo] + f * (a[hi] - a[lo]);
+        return { x: lerp(x), y: lerp(y), vx: lerp(vx), vy: lerp(vy), index: lo };
+    }
+
+    get landed() {
+        return this.time >= this.trajectory.flightTime;
+    }
+
+    step(dt) {
+        this.time = Math.min(this.time + dt, this.trajectory.flightTime);
+    }
+
+    serialize() {
+        return { time: this.time };
+    }
+
+    restore(snapshot) {
+        this.time = snapshot.time;
+    }
+
+    observe() {
+        const { analytic, trajectory } = this;
+        const state = this.stateAt(this.time);
+        const speed = Math.hypot(state.vx, state.vy);
+
+        return {
+            energy: 0.5 * this.mass * speed * speed + this.mass * this.gravity * state.y,
+            momentum: this.mass * speed,
+            time: this.time,
+            dragModel: this.dragModel,
+            range: trajectory.range,
+            rangeIdeal: analytic.range,
+            rangeDeviation: analytic.range !== 0 ? 100 * (trajectory.range - analytic.range) / analytic.range : null,
+            apex: trajectory.apex,
+            apexIdeal: analytic.apex,
+            flightTime: trajectory.flightTime,
+            flightTimeIdeal: analytic.flightTime,
+            status: this.landed ? 'Landed' : 'In flight'
+        };
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { analytic, trajectory } = this;
+        const { samples } = trajectory;
+
+        canvas.clear(ctx, width, height);
+
+        const margin = 48;
+        const worldWidth = Math.max(analytic.range, trajectory.range, 1);
+        const worldHeight = Math.max(analytic.apex, trajectory.apex, 1);
+        const scale = Math.min((width - 2 * margin) / worldWidth, (height - 2 * margin) / worldHeight);
+        const toX = x => margin + x * scale;
+        const toY = y => height - margin - y * scale;
+
+        // Ground and scale ticks
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(margin / 2, toY(0));
+        ctx.lineTo(width - margin / 2, toY(0));
+        ctx.stroke();
+
+        ctx.fillStyle = colors.muted;
+        ctx.font = canvas.font(10);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        canvas.ticks(0, (width - 2 * margin) / scale, 8).forEach(tick => {
+            ctx.fillText(`${canvas.formatTick(tick)} m`, toX(tick), toY(0) + 6);
+        });
+
+        // Drag-free parabola
+        if (analytic.flightTime > 0) {
+            const ghost = { x: [], y: [] };
+            for (let i = 0; i <= 200; i++) {
+                const p = analytic.position(analytic.flightTime * i / 200);
+                ghost.x.push(toX(p.x));
+                ghost.y.push(toY(p.y));
+            }
+            ctx.setLineDash([6, 6]);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ghost.x.forEach((gx, i) => (i === 0 ? ctx.moveTo(gx, ghost.y[i]) : ctx.lineTo(gx, ghost.y[i])));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Traced flight path up to the current time
+        const current = this.stateAt(this.time);
+        ctx.strokeStyle = colors.blue;
+        ctx.lineWidth = 2.5;
+        ctx.shadowColor = colors.blue;
+        ctx.shadowBlur = 8;
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(0));
+        for (let i = 1; i <= current.index; i++) {
+            ctx.lineTo(toX(samples.x[i]), toY(samples.y[i]));
+        }
+        ctx.lineTo(toX(current.x), toY(current.y));
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+
+        // Apex and landing markers once they have been reached
+        const apexIndex = samples.y.indexOf(Math.max(...samples.y));
+        if (this.time >= samples.t[apexIndex]) {
+            this.drawMarker(ctx, toX(samples.x[apexIndex]), toY(samples.y[apexIndex]),
+                `apex ${trajectory.apex.toFixed(2)} m`, colors.purpleLight);
+        }
+        if (this.landed) {
+            this.drawMarker(ctx, toX(trajectory.range), toY(0), `range ${trajectory.range.toFixed(2)} m`, colors.green);
+        }
+
+        // Projectile and its velocity vector
+        const px = toX(current.x);
+        const py = toY(current.y);
+        ctx.strokeStyle = colors.red;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(px, py);
+        ctx.lineTo(px + current.vx * 2, py - current.vy * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.shadowColor = colors.blue;
+        ctx.shadowBlur = 15;
+        ctx.beginPath();
+        ctx.arc(px, py, 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+
+        canvas.legend(ctx, 16, 16, [
+            { text: '— numeric (with drag)', color: colors.blue },
+            { text: '- - drag-free parabola', color: 'rgba(255, 255, 255, 0.6)' },
+            { text: `t = ${this.time.toFixed(2)} s`, color: colors.text }
+        ]);
+    }
+
+    drawMarker(ctx, x, y, label, color) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = HyperionCanvas.font(10);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(label, x, y - 8);
+    }
+}
+
+HyperionRegistry.register({
+    "id": "projectile-motion",
+    "category": "core-mechanics",
+    "name": "Projectile Motion",
+    "description": "Motion under gravity with initial velocity",
+    "equations": ["x = v₀ₓt", "y = v₀ᵧt - ½gt²", "R = v₀²sin(2θ)/g", "Linear drag: F_d = -bv", "Quadratic drag: F_d = -c|v|v"],
+    "parameters": [
+        {"name": "Initial Velocity", "min": 1, "max": 50, "default": 20, "unit": "m/s"},
+        {"name": "Launch Angle", "min": 0, "max": 90, "default": 45, "unit": "°"},
+        {"name": "Gravity", "min": 1, "max": 20, "default": 9.81, "unit": "m/s²"},
+        {"name": "Drag Model", "type": "select", "options": ["None", "Linear", "Quadratic"], "default": "None", "unit": ""},
+        {"name": "Linear Drag", "min": 0, "max": 0.5, "default": 0.05, "step": 0.001, "unit": "kg/s"},
+        {"name": "Quadratic Drag", "min": 0, "max": 0.5, "default": 0.05, "step": 0.001, "unit": "kg/m"},
+        {"name": "Mass", "min": 0.1, "max": 10, "default": 1.0, "unit": "kg"}
+    ],
+    "observables": [
+        {"id": "energy", "label": "Energy", "unit": "J"},
+        {"id": "momentum", "label": "Momentum", "unit": "kg⋅m/s"},
+        {"id": "time", "label": "Time", "unit": "s"},
+        {"id": "dragModel", "label": "Drag model", "format": "text"},
+        {"id": "range", "label": "Range (numeric)", "unit": "m"},
+        {"id": "rangeIdeal", "label": "Range (ideal)", "unit": "m"},
+        {"id": "rangeDeviation", "label": "Range deviation", "unit": "%", "precision": 1},
+        {"id": "apex", "label": "Apex (numeric)", "unit": "m"},
+        {"id": "apexIdeal", "label": "Apex (ideal)", "unit": "m"},
+        {"id": "flightTime", "label": "Flight time (numeric)", "unit": "s"},
+        {"id": "flightTimeIdeal", "label": "Flight time (ideal)", "unit": "s"},
+        {"id": "status", "label": "Status", "format": "text"}
+    ],
+    "presets": [
+        {"name": "Maximum range without drag (45°)", "parameters": {}},
+        {"name": "Quadratic drag", "parameters": {"Initial Velocity": 40, "Launch Angle": 40, "Drag Model": "Quadratic", "Quadratic Drag": 0.02}},
+        {"name": "Lunar gravity", "parameters": {"Gravity": 1.62}},
+        {"name": "Steep lob (75°)", "parameters": {"Launch Angle": 75}}
+    ],
+    "engine": ProjectileMotionSimulation
+});
@@ -0,0 +1,265 @@
+// HYPERION - Quantum Tunneling
+// Exact rectangular-barrier transmission for an electron, T(E) sweep and WKB comparison (units: nm, eV)
+
+class QuantumTunnelingSimulation {
+    static KINETIC = 0.0380998; // ℏ²/2mₑ in eV·nm²
+    static SWEEP_POINTS = 600;
+    static LOG_FLOOR = -16;
+
+    constructor(params) {
+        this.setParameters(params);
+    }
+
+    // Everything here is stationary, so the sweep is rebuilt only when the inputs change
+    setParameters(params) {
+        this.params = { ...params };
+        this.sweep = this.computeSweep();
+    }
+
+    get height() { return this.params['Barrier Height'] ?? 10; }
+    get width() { return this.params['Barrier Width'] ?? 0.5; }
+    get energy() { return this.params['Particle Energy'] ?? 5; }
+
+    reset() {}
+
+    step() {}
+
+    // Stationary: the parameters, restored alongside, are the whole state
+    serialize() {
+        return {};
+    }
+
+    restore() {}
+
+    // T = [1 + V₀² sinh²(κa) / 4E(V₀ − E)]⁻¹ below the top, sinh → sin with q = √(2m(E − V₀))/ℏ above it
+    transmission(E) {
+        const { KINETIC } = QuantumTunnelingSimulation;
+        const V0 = this.height;
+        const a = this.width;
+        if (E <= 0) return 0;
+
+        if (Math.abs(E - V0) < 1e-9) return 1 / (1 + V0 * a * a / (4 * KINETIC));
+        if (E < V0) {
+            const kappa = Math.sqrt((V0 - E) / KINETIC);
+            const sinh = Math.sinh(kappa * a);
+            return 1 / (1 + V0 * V0 * sinh * sinh / (4 * E * (V0 - E)));
+        }
+        const q = Math.sqrt((E - V0) / KINETIC);
+        const sin = Math.sin(q * a);
+        return 1 / (1 + V0 * V0 * sin * sin / (4 * E * (E - V0)));
+    }
+
+    // WKB: T ≈ exp(−2∫κ dx) = exp(−2κa) under the barrier; it has no reflection above it
+    wkb(E) {
+        const { KINETIC } = QuantumTunnelingSimulation;
+        if (E <= 0) return 0;
+        if (E >= this.height) return 1;
+        return Math.exp(-2 * Math.sqrt((this.height - E) / KINETIC) * this.width);
+    }
+
+    get energyRange() {
+        return [0, Math.max(15, 2 * this.height)];
+    }
+
+    computeSweep() {
+        const { SWEEP_POINTS, LOG_FLOOR } = QuantumTunnelingSimulation;
+        const [, max] = this.energyRange;
+        const sweep = { E: [], T: [], logT: [], logWKB: [] };
+
+        for (let i = 1; i <= SWEEP_POINTS; i++) {
+            const E = max * i / SWEEP_POINTS;
+            const T = this.transmission(E);
+            sweep.E.push(E);
+            sweep.T.push(T);
+            sweep.logT.push(Math.max(LOG_FLOOR, Math.log10(T)));
+            sweep.logWKB.push(Math.max(LOG_FLOOR, Math.log10(this.wkb(E))));
+        }
+        return sweep;
+    }
+
+    // Incident e^{ikx} from the left; ψ = C e^{iqx} + D e^{−iqx} inside (q imaginary below the top), t e^{ikx} beyond
+    wavefunction() {
+        const { KINETIC } = QuantumTunnelingSimulation;
+        const c = QuantumTunnelingSimulation.complex;
+        const a = this.width;
+        const k = Math.sqrt(this.energy / KINETIC);
+        const difference = (this.energy - this.height) / KINETIC;
+        let q = difference >= 0 ? [Math.sqrt(difference), 0] : [0, Math.sqrt(-difference)];
+        if (Math.hypot(q[0], q[1]) < 1e-9) q = [1e-9, 0];
+
+        const K = [k, 0];
+        const plus = c.mul(c.add(q, K), c.add(q, K));
+        const minus = c.mul(c.sub(q, K), c.sub(q, K));
+        const denominator = c.sub(c.mul(plus, c.exp(c.mul([0, -a], q))), c.mul(minus, c.exp(c.mul([0, a], q))));
+        const t = c.div(c.scale(c.mul(c.exp([0, -k * a]), c.scale(q, k)), 4), denominator);
+
+        const outside = c.mul(t, c.exp([0, k * a]));
+        const C = c.div(c.mul(c.mul(outside, c.exp(c.mul([0, -a], q))), c.add(q, K)), c.scale(q, 2));
+        const D = c.div(c.mul(c.mul(outside, c.exp(c.mul([0, a], q))), c.sub(q, K)), c.scale(q, 2));
+        const r = c.sub(c.add(C, D), [1, 0]);
+
+        const lead = Math.max(1, 3 * 2 * Math.PI / k);
+        const xs = [];
+        const re = [];
+        const density = [];
+        const samples = 800;
+        for (let i = 0; i <= samples; i++) {
+            const x = -lead + (a + 2 * lead) * i / samples;
+            let psi;
+            if (x < 0) {
+                psi = c.add(c.exp([0, k * x]), c.mul(r, c.exp([0, -k * x])));
+            } else if (x <= a) {
+                psi = c.add(c.mul(C, c.exp(c.mul([0, x], q))), c.mul(D, c.exp(c.mul([0, -x], q))));
+            } else {
+                psi = c.mul(t, c.exp([0, k * x]));
+            }
+            xs.push(x);
+            re.push(psi[0]);
+            density.push(psi[0] * psi[0] + psi[1] * psi[1]);
+        }
+        return { xs, re, density, t, r, lead };
+    }
+
+    static complex = {
+        add: (a, b) => [a[0] + b[0], a[1] + b[1]],
+        sub: (a, b) => [a[0] - b[0], a[1] - b[1]],
+        mul: (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]],
+        div: (a, b) => {
+            const d = b[0] * b[0] + b[1] * b[1];
+            return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+        },
+        scale: (a, s) => [a[0] * s, a[1] * s],
+        exp: (a) => [Math.exp(a[0]) * Math.cos(a[1]), Math.exp(a[0]) * Math.sin(a[1])]
+    };
+
+    // Above the top, full transmission recurs where qa = nπ
+    nextResonance() {
+        const { KINETIC } = QuantumTunnelingSimulation;
+        const a = this.width;
+        const q = this.energy > this.height ? Math.sqrt((this.energy - this.height) / KINETIC) : 0;
+        const n = Math.max(1, Math.ceil(q * a / Math.PI));
+        return this.height + KINETIC * (n * Math.PI / a) ** 2;
+    }
+
+    observe() {
+        const { KINETIC } = QuantumTunnelingSimulation;
+        const E = this.energy;
+        const T = this.transmission(E);
+        const below = E < this.height;
+        const kappaA = below ? Math.sqrt((this.height - E) / KINETIC) * this.width : 0;
+        const wkb = this.wkb(E);
+
+        let regime;
+        if (!below) regime = 'above barrier: WKB gives T ≈ 1 and misses the reflection';
+        else if (kappaA < 1) regime = 'thin barrier (κa < 1): WKB unreliable';
+        else if (kappaA < 3) regime = 'κa ≈ 1–3: WKB off by the prefactor';
+        else regime = 'opaque barrier (κa ≫ 1): WKB captures the exponent';
+
+        return {
+            transmission: T,
+            reflection: 1 - T,
+            wkb,
+            wkbRatio: wkb > 0 ? T / wkb : null,
+            kappaA: below ? kappaA : '— (E > V₀)',
+            regime,
+            nextResonance: this.nextResonance()
+        };
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { LOG_FLOOR } = QuantumTunnelingSimulation;
+        canvas.clear(ctx, width, height);
+
+        const topHeight = Math.round((height - 36) / 2);
+        const half = (width - 36) / 2;
+        const E = this.energy;
+        const range = this.energyRange;
+
+        const linear = canvas.axes(ctx, { x: 12, y: 12, width: half, height: topHeight }, range, [0, 1.05],
+            { title: 'Transmission T(E)', xLabel: 'E (eV)' });
+        this.drawBarrierTop(ctx, linear);
+        canvas.line(ctx, linear, this.sweep.E, this.sweep.T, colors.blue, 1.5);
+        canvas.line(ctx, linear, this.sweep.E, this.sweep.T.map(T => 1 - T), 'rgba(255, 107, 107, 0.6)', 1);
+        canvas.marker(ctx, linear, E, this.transmission(E), colors.green);
+        canvas.legend(ctx, linear.inner.x + 8, linear.inner.y + 6, [
+            { text: 'T exact', color: colors.blue },
+            { text: 'R = 1 − T', color: colors.red }
+        ]);
+
+        const logRange = [Math.max(LOG_FLOOR, Math.floor(Math.min(...this.sweep.logT))), 0.5];
+        const log = canvas.axes(ctx, { x: 24 + half, y: 12, width: half, height: topHeight }, range, logRange,
+            { title: 'log₁₀ T: exact vs WKB', xLabel: 'E (eV)' });
+        this.drawBarrierTop(ctx, log);
+        canvas.line(ctx, log, this.sweep.E, this.sweep.logWKB, colors.orange, 1.2);
+        canvas.line(ctx, log, this.sweep.E, this.sweep.logT, colors.blue, 1.5);
+        canvas.marker(ctx, log, E, Math.max(LOG_FLOOR, Math.log10(this.transmission(E))), colors.green);
+        canvas.legend(ctx, log.inner.x + 8, log.inner.y + 6, [
+            { text: 'exact', color: colors.blue },
+            { text: 'WKB e^(−2κa)', color: colors.orange }
+        ]);
+
+        this.drawWavefunction(ctx, { x: 12, y: topHeight + 24, width: width - 24, height: height - topHeight - 36 });
+    }
+
+    drawBarrierTop(ctx, plot) {
+        const { colors } = HyperionCanvas;
+        ctx.save();
+        ctx.setLineDash([4, 4]);
+        HyperionCanvas.line(ctx, plot, [this.height, this.height], [-1e3, 1e3], colors.purpleLight, 1);
+        ctx.restore();
+    }
+
+    drawWavefunction(ctx, rect) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { xs, re, density, lead } = this.wavefunction();
+        const a = this.width;
+        const yRange = canvas.range([...re, ...density], { padding: 0.08 });
+        const plot = canvas.axes(ctx, rect, [-lead, a + lead], yRange,
+            { title: `Stationary state at E = ${this.energy.toFixed(2)} eV (incident from the left)`, xLabel: 'x (nm)' });
+
+        const { inner, sx } = plot;
+        ctx.fillStyle = 'rgba(255, 179, 71, 0.12)';
+        ctx.fillRect(sx(0), inner.y, sx(a) - sx(0), inner.height);
+        ctx.strokeStyle = 'rgba(255, 179, 71, 0.5)';
+        ctx.strokeRect(sx(0) + 0.5, inner.y + 0.5, sx(a) - sx(0), inner.height);
+
+        canvas.line(ctx, plot, xs, re, colors.blue, 1.2);
+        canvas.line(ctx, plot, xs, density, colors.green, 1.8);
+        canvas.legend(ctx, inner.x + 8, inner.y + 6, [
+            { text: 'Re ψ', color: colors.blue },
+            { text: '|ψ|²', color: colors.green },
+            { text: `barrier V₀ = ${this.height.toFixed(1)} eV, a = ${a.toFixed(2)} nm`, color: colors.orange }
+        ]);
+    }
+}
+
+HyperionRegistry.register({
+    "id": "quantum-tunneling",
+    "category": "quantum-physics",
+    "name": "Quantum Tunneling",
+    "description": "Tunneling through potential barriers",
+    "equations": ["T = |ψ_transmitted|²/|ψ_incident|²", "R = |ψ_reflected|²/|ψ_incident|²", "T + R = 1", "T = [1 + V₀² sinh²(κa) / 4E(V₀ − E)]⁻¹, κ = √(2m(V₀ − E))/ℏ", "T_WKB ≈ e^{-2κa}"],
+    "parameters": [
+        {"name": "Barrier Height", "min": 1, "max": 20, "default": 10, "unit": "eV"},
+        {"name": "Barrier Width", "min": 0.1, "max": 2.0, "default": 0.5, "unit": "nm"},
+        {"name": "Particle Energy", "min": 0.1, "max": 15, "default": 5, "unit": "eV"}
+    ],
+    "observables": [
+        {"id": "transmission", "label": "Transmission T", "format": "auto", "precision": 5},
+        {"id": "reflection", "label": "Reflection R", "format": "auto", "precision": 5},
+        {"id": "wkb", "label": "WKB e^(−2κa)", "format": "auto", "precision": 5},
+        {"id": "wkbRatio", "label": "T / T_WKB", "precision": 3},
+        {"id": "kappaA", "label": "κa", "precision": 3},
+        {"id": "regime", "label": "Regime", "format": "text"},
+        {"id": "nextResonance", "label": "Next resonance", "unit": "eV", "precision": 3}
+    ],
+    "presets": [
+        {"name": "Deep tunneling", "parameters": {"Barrier Height": 10, "Barrier Width": 1, "Particle Energy": 2}},
+        {"name": "Thin barrier", "parameters": {"Barrier Width": 0.1}},
+        {"name": "Transmission resonance (qa = π)", "parameters": {"Barrier Height": 10, "Barrier Width": 0.5, "Particle Energy": 11.5}}
+    ],
+    "engine": QuantumTunnelingSimulation
+});
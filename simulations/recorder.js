@@ -0,0 +1,123 @@
+// HYPERION - Time-series recorder
+// Samples parameters and observables of a running simulation into a bounded buffer for CSV / JSON download
+
+class HyperionRecorder {
+    static DEFAULT_RATE = 10;
+    static MAX_RATE = 60;
+    static CAPACITY = 20000;
+
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.rate = HyperionRecorder.DEFAULT_RATE;
+        this.recording = false;
+        this.clear();
+    }
+
+    // Page clock first (engines may report their own sim time among the observables),
+    // then observables, then parameters, which may change mid-run
+    get columns() {
+        return [
+            { id: 'elapsed', label: 'Elapsed', unit: 's' },
+            ...this.simulation.observables.map(({ id, label, unit }) => ({ id, label, unit })),
+            ...this.simulation.parameters.map(({ name, unit }) => ({ id: name, label: name, unit: unit || '' }))
+        ];
+    }
+
+    get size() {
+        return this.rows.length;
+    }
+
+    setRate(rate) {
+        const value = parseFloat(rate);
+        if (!isFinite(value)) return;
+        this.rate = Math.max(0.1, Math.min(HyperionRecorder.MAX_RATE, value));
+    }
+
+    start() {
+        this.recording = true;
+        this.lastTime = -Infinity;
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    clear() {
+        this.rows = [];
+        this.head = 0;
+        this.dropped = 0;
+        this.lastTime = -Infinity;
+    }
+
+    isDue(time) {
+        return this.recording && time - this.lastTime >= 1 / this.rate - 1e-9;
+    }
+
+    // Returns true when a row was stored
+    sample(time, state, values) {
+        if (!this.isDue(time)) return false;
+        this.lastTime = time;
+
+        const row = [
+            time,
+            ...this.simulation.observables.map(observable => HyperionRecorder.clean(values[observable.id])),
+            ...this.simulation.parameters.map(param => state[param.name])
+        ];
+
+        // Once full, overwrite the oldest row
+        if (this.rows.length < HyperionRecorder.CAPACITY) {
+            this.rows.push(row);
+        } else {
+            this.rows[this.head] = row;
+            this.head = (this.head + 1) % HyperionRecorder.CAPACITY;
+            this.dropped++;
+        }
+        return true;
+    }
+
+    // After a rewind the rows past the restored time belong to an abandoned branch
+    discardAfter(time) {
+        this.rows = this.samples().filter(row => row[0] <= time + 1e-9);
+        this.head = 0;
+        this.lastTime = this.rows.length > 0 ? this.rows[this.rows.length - 1][0] : -Infinity;
+    }
+
+    // Rows in time order
+    samples() {
+        return [...this.rows.slice(this.head), ...this.rows.slice(0, this.head)];
+    }
+
+    toCSV() {
+        const header = this.columns.map(column => column.unit ? `${column.label} (${column.unit})` : column.label);
+        return [header, ...this.samples()]
+            .map(row => row.map(HyperionRecorder.csvField).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    toJSON(configuration) {
+        return JSON.stringify({
+            ...configuration,
+            sampleRate: this.rate,
+            droppedSamples: this.dropped,
+            columns: this.columns,
+            samples: this.samples()
+        }, null, 2);
+    }
+
+    // NaN and ±Infinity have no JSON form; record them as empty cells
+    static clean(value) {
+        if (typeof value === 'number' && !isFinite(value)) return null;
+        return value ?? null;
+    }
+
+    static csvField(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Node loads this through core.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HyperionRecorder;
+}
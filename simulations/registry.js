@@ -0,0 +1,125 @@
+// HYPERION - Simulation registry
+// Categories and simulation modules register here; routes, navigation and stats are generated from it
+
+const HyperionRegistry = {
+    categories: [],
+    simulations: [],
+
+    // { id, name, complexity, color, icon, description }
+    defineCategory(category) {
+        if (this.getCategory(category.id)) {
+            throw new Error(`Category "${category.id}" is already defined`);
+        }
+        this.categories.push({ icon: '🔬', ...category });
+    },
+
+    // { id, category, name, description, equations, parameters, observables, presets, engine }
+    // Parameters may set "key" to choose their name in shared links
+    // and "scale" ("linear" or "log") to override how their slider maps onto the range
+    // Presets are { name, parameters } where parameters override the defaults by name
+    // engine is the class the simulation page instantiates with the current parameter values;
+    // its observe() returns a value for each observable id
+    register(simulation) {
+        if (!this.getCategory(simulation.category)) {
+            throw new Error(`Simulation "${simulation.id}" names unknown category "${simulation.category}"`);
+        }
+        if (this.getSimulation(simulation.id)) {
+            throw new Error(`Simulation "${simulation.id}" is already registered`);
+        }
+        const parameters = (simulation.parameters || []).map(parameter => ({
+            key: this.parameterKey(parameter.name),
+            ...parameter
+        }));
+        const keys = new Set(parameters.map(parameter => parameter.key));
+        if (keys.size !== parameters.length) {
+            throw new Error(`Simulation "${simulation.id}" has parameters sharing a link key; set "key" on one of them`);
+        }
+        (simulation.presets || []).forEach(preset => {
+            const unknown = Object.keys(preset.parameters).find(name => !parameters.some(parameter => parameter.name === name));
+            if (unknown) {
+                throw new Error(`Preset "${preset.name}" of "${simulation.id}" sets unknown parameter "${unknown}"`);
+            }
+        });
+
+        this.simulations.push({
+            equations: [],
+            presets: [],
+            ...simulation,
+            parameters,
+            observables: (simulation.observables || []).map(observable => ({
+                unit: '',
+                format: 'fixed',
+                precision: 2,
+                ...observable
+            }))
+        });
+    },
+
+    // Short query-string key: initials plus any numbers, e.g. "Length 1" → "l1", "Initial Angle" → "ia"
+    parameterKey(name) {
+        return name.split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map(word => /^\d+$/.test(word) ? word : word[0].toLowerCase())
+            .join('');
+    },
+
+    getCategory(categoryId) {
+        return this.categories.find(category => category.id === categoryId);
+    },
+
+    getSimulation(simulationId) {
+        return this.simulations.find(simulation => simulation.id === simulationId);
+    },
+
+    // Registration order within a category is display order
+    getSimulations(categoryId) {
+        return this.simulations.filter(simulation => simulation.category === categoryId);
+    },
+
+    // Observable { id, label, unit, format, precision }; format is fixed, exponential, auto, integer, duration or text
+    formatObservable(observable, value) {
+        if (value === null || value === undefined || Number.isNaN(value)) return '—';
+
+        // Engines may report a status word where no number applies
+        if (typeof value === 'string') return value;
+        if (!isFinite(value)) return value > 0 ? '∞' : '−∞';
+
+        const { format, precision, unit } = observable;
+        let text;
+        switch (format) {
+            case 'integer':
+                text = Math.round(value).toString();
+                break;
+            case 'exponential':
+                text = value.toExponential(precision);
+                break;
+            case 'auto':
+                text = value !== 0 && (Math.abs(value) < 1e-3 || Math.abs(value) >= 1e6)
+                    ? value.toExponential(precision)
+                    : value.toFixed(precision);
+                break;
+            case 'duration':
+                return this.formatDuration(value, precision);
+            case 'text':
+                text = String(value);
+                break;
+            default:
+                text = value.toFixed(precision);
+        }
+        if (!unit) return text;
+        return unit === '°' ? `${text}°` : `${text} ${unit}`;
+    },
+
+    formatDuration(seconds, precision = 2) {
+        const magnitude = Math.abs(seconds);
+        if (magnitude >= 86400) return `${(seconds / 86400).toFixed(precision)} d`;
+        if (magnitude >= 3600) return `${(seconds / 3600).toFixed(precision)} h`;
+        if (magnitude >= 60) return `${(seconds / 60).toFixed(precision)} min`;
+        return `${seconds.toFixed(precision)} s`;
+    }
+};
+
+// Node loads this through core.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HyperionRegistry;
+}
@@ -0,0 +1,336 @@
+// HYPERION - Schrödinger Equation 1D
+// Split-step Fourier evolution of a Gaussian wave packet (units: nm, fs, eV)
+
+class Schrodinger1DSimulation {
+    static HBAR = 0.6582119569; // eV·fs
+    static KINETIC = 0.0380998; // ℏ²/2mₑ in eV·nm²
+    static GRID_SIZE = 1024;
+    static DOMAIN = 60; // nm
+    static TIME_STEP = 0.005; // fs
+    static TIME_SCALE = 4; // fs of evolution per real second
+    static ABSORBER_WIDTH = 6; // nm
+    static ABSORBER_STRENGTH = 0.02;
+    static HARMONIC_REACH = 15; // nm at which V = V₀
+
+    constructor(params) {
+        const { GRID_SIZE, DOMAIN } = Schrodinger1DSimulation;
+        this.dx = DOMAIN / GRID_SIZE;
+        this.x = Float64Array.from({ length: GRID_SIZE }, (_, i) => -DOMAIN / 2 + i * this.dx);
+        this.k = Float64Array.from({ length: GRID_SIZE }, (_, i) => 2 * Math.PI / DOMAIN * (i < GRID_SIZE / 2 ? i : i - GRID_SIZE));
+        this.re = new Float64Array(GRID_SIZE);
+        this.im = new Float64Array(GRID_SIZE);
+        this.params = {};
+        this.setParameters(params);
+    }
+
+    // The packet is defined by mass, width and energy; the potential can change under a running packet
+    setParameters(params) {
+        const previous = this.params;
+        this.params = { ...params };
+        this.buildPropagator();
+
+        if (['Particle Mass', 'Wave Packet Width', 'Packet Energy'].some(name => previous[name] !== params[name])) {
+            this.reset();
+        }
+    }
+
+    get barrierHeight() { return this.params['Barrier Height'] ?? 5; }
+    get mass() { return this.params['Particle Mass'] ?? 1; }
+    get width() { return this.params['Wave Packet Width'] ?? 1; }
+    get potentialType() { return this.params['Potential'] ?? 'Barrier'; }
+    get barrierWidth() { return this.params['Barrier Width'] ?? 1; }
+    get packetEnergy() { return this.params['Packet Energy'] ?? 4; }
+
+    potentialAt(x) {
+        const { HARMONIC_REACH } = Schrodinger1DSimulation;
+        const V0 = this.barrierHeight;
+        switch (this.potentialType) {
+            case 'Well': return Math.abs(x) < this.barrierWidth / 2 ? -V0 : 0;
+            case 'Harmonic': return V0 * (x / HARMONIC_REACH) ** 2;
+            case 'Step': return x > 0 ? V0 : 0;
+            default: return Math.abs(x) < this.barrierWidth / 2 ? V0 : 0;
+        }
+    }
+
+    // Half-step potential phases, full-step kinetic phases and the edge absorber
+    buildPropagator() {
+        const { HBAR, KINETIC, GRID_SIZE, DOMAIN, TIME_STEP: dt, ABSORBER_WIDTH, ABSORBER_STRENGTH } = Schrodinger1DSimulation;
+        this.V = Float64Array.from(this.x, x => this.potentialAt(x));
+        this.kineticEnergy = Float64Array.from(this.k, k => KINETIC / this.mass * k * k);
+
+        this.halfV = { cos: new Float64Array(GRID_SIZE), sin: new Float64Array(GRID_SIZE) };
+        this.fullT = { cos: new Float64Array(GRID_SIZE), sin: new Float64Array(GRID_SIZE) };
+        this.absorber = new Float64Array(GRID_SIZE);
+
+        for (let i = 0; i < GRID_SIZE; i++) {
+            const potentialPhase = -this.V[i] * dt / (2 * HBAR);
+            const kineticPhase = -this.kineticEnergy[i] * dt / HBAR;
+            this.halfV.cos[i] = Math.cos(potentialPhase);
+            this.halfV.sin[i] = Math.sin(potentialPhase);
+            this.fullT.cos[i] = Math.cos(kineticPhase);
+            this.fullT.sin[i] = Math.sin(kineticPhase);
+
+            const depth = Math.max(0, (Math.abs(this.x[i]) - (DOMAIN / 2 - ABSORBER_WIDTH)) / ABSORBER_WIDTH);
+            this.absorber[i] = 1 - ABSORBER_STRENGTH * depth * depth;
+        }
+    }
+
+    // ψ(x, 0) = (2πσ²)^(-1/4) exp(-(x - x₀)²/4σ² + ik₀x), launched from the left quarter
+    reset() {
+        const { KINETIC, DOMAIN } = Schrodinger1DSimulation;
+        const sigma = this.width;
+        const x0 = -DOMAIN / 4;
+        const k0 = Math.sqrt(this.packetEnergy * this.mass / KINETIC);
+        const amplitude = Math.pow(2 * Math.PI * sigma * sigma, -0.25);
+
+        this.x.forEach((x, i) => {
+            const envelope = amplitude * Math.exp(-((x - x0) ** 2) / (4 * sigma * sigma));
+            this.re[i] = envelope * Math.cos(k0 * x);
+            this.im[i] = envelope * Math.sin(k0 * x);
+        });
+
+        this.peakAmplitude = amplitude;
+        this.time = 0;
+        this.accumulator = 0;
+    }
+
+    // In-place radix-2 FFT; the inverse includes the 1/N factor
+    static fft(re, im, inverse = false) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = (inverse ? 2 : -2) * Math.PI / size;
+            const wr = Math.cos(angle);
+            const wi = Math.sin(angle);
+            for (let start = 0; start < n; start += size) {
+                let cr = 1;
+                let ci = 0;
+                for (let j = 0; j < size / 2; j++) {
+                    const a = start + j;
+                    const b = a + size / 2;
+                    const tr = re[b] * cr - im[b] * ci;
+                    const ti = re[b] * ci + im[b] * cr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                    const next = cr * wr - ci * wi;
+                    ci = cr * wi + ci * wr;
+                    cr = next;
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+
+    static rotate(re, im, phase) {
+        for (let i = 0; i < re.length; i++) {
+            const r = re[i];
+            re[i] = r * phase.cos[i] - im[i] * phase.sin[i];
+            im[i] = r * phase.sin[i] + im[i] * phase.cos[i];
+        }
+    }
+
+    // Strang splitting: e^{-iVdt/2ℏ} e^{-iTdt/ℏ} e^{-iVdt/2ℏ}
+    advance() {
+        const { re, im } = this;
+        const { rotate, fft, TIME_STEP } = Schrodinger1DSimulation;
+        rotate(re, im, this.halfV);
+        fft(re, im);
+        rotate(re, im, this.fullT);
+        fft(re, im, true);
+        rotate(re, im, this.halfV);
+
+        for (let i = 0; i < re.length; i++) {
+            re[i] *= this.absorber[i];
+            im[i] *= this.absorber[i];
+        }
+        this.time += TIME_STEP;
+    }
+
+    step(dt) {
+        const { TIME_STEP, TIME_SCALE } = Schrodinger1DSimulation;
+        this.accumulator += dt * TIME_SCALE;
+        while (this.accumulator >= TIME_STEP) {
+            this.advance();
+            this.accumulator -= TIME_STEP;
+        }
+    }
+
+    serialize() {
+        const { time, accumulator, re, im } = this;
+        return { time, accumulator, re, im };
+    }
+
+    restore(snapshot) {
+        this.time = snapshot.time;
+        this.accumulator = snapshot.accumulator;
+        this.re.set(snapshot.re);
+        this.im.set(snapshot.im);
+    }
+
+    // Position-space moments directly, momentum and kinetic energy from |φ(k)|²
+    moments() {
+        let norm = 0;
+        let meanX = 0;
+        let meanV = 0;
+        let right = 0;
+        for (let i = 0; i < this.re.length; i++) {
+            const density = (this.re[i] ** 2 + this.im[i] ** 2) * this.dx;
+            norm += density;
+            meanX += this.x[i] * density;
+            meanV += this.V[i] * density;
+            if (this.x[i] > 0) right += density;
+        }
+
+        const re = this.re.slice();
+        const im = this.im.slice();
+        Schrodinger1DSimulation.fft(re, im);
+        let weight = 0;
+        let meanK = 0;
+        let meanT = 0;
+        for (let i = 0; i < re.length; i++) {
+            const density = re[i] ** 2 + im[i] ** 2;
+            weight += density;
+            meanK += this.k[i] * density;
+            meanT += this.kineticEnergy[i] * density;
+        }
+
+        const safe = (value, total) => total > 0 ? value / total : 0;
+        return {
+            norm,
+            x: safe(meanX, norm),
+            k: safe(meanK, weight),
+            energy: safe(meanT, weight) + safe(meanV, norm),
+            right: safe(right, norm)
+        };
+    }
+
+    observe() {
+        const o = this.moments();
+
+        return {
+            time: this.time,
+            norm: o.norm,
+            meanX: o.x,
+            meanP: o.k,
+            meanE: o.energy,
+            probabilityRight: o.right
+        };
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { DOMAIN } = Schrodinger1DSimulation;
+        canvas.clear(ctx, width, height);
+
+        const half = (height - 36) / 2;
+        const xRange = [-DOMAIN / 2, DOMAIN / 2];
+        const amplitude = this.peakAmplitude * 1.15;
+        const density = new Float64Array(this.re.length);
+        for (let i = 0; i < density.length; i++) density[i] = this.re[i] ** 2 + this.im[i] ** 2;
+
+        const wave = canvas.axes(ctx, { x: 12, y: 12, width: width - 24, height: half }, xRange, [-amplitude, amplitude],
+            { title: `Wave function ψ(x, t) · ${this.potentialType}`, yLabel: 'nm^-1/2' });
+        this.drawPotential(ctx, wave, -amplitude, amplitude);
+        canvas.line(ctx, wave, this.x, this.re, colors.blue, 1.2);
+        canvas.line(ctx, wave, this.x, this.im, colors.purpleLight, 1.2);
+        canvas.legend(ctx, wave.inner.x + 8, wave.inner.y + 6, [
+            { text: 'Re ψ', color: colors.blue },
+            { text: 'Im ψ', color: colors.purpleLight },
+            { text: 'V(x)', color: colors.orange }
+        ]);
+
+        const probability = canvas.axes(ctx, { x: 12, y: half + 24, width: width - 24, height: half }, xRange,
+            [0, amplitude * amplitude], { title: 'Probability density |ψ|²', xLabel: 'x (nm)', yLabel: 'nm^-1' });
+        this.drawPotential(ctx, probability, 0, amplitude * amplitude);
+        this.fillDensity(ctx, probability, density);
+        canvas.legend(ctx, probability.inner.x + 8, probability.inner.y + 6, [
+            { text: `t = ${this.time.toFixed(2)} fs`, color: colors.green }
+        ]);
+    }
+
+    // V(x) scaled so its largest magnitude (or the packet energy) spans most of the plot
+    drawPotential(ctx, plot, low, high) {
+        const { colors } = HyperionCanvas;
+        const scale = Math.max(this.packetEnergy, ...this.V.map(Math.abs)) || 1;
+        const baseline = low < 0 ? 0 : low;
+        const span = (high - baseline) * 0.85;
+        const toPlot = (v) => baseline + v / scale * span;
+
+        ctx.save();
+        ctx.globalAlpha = 0.8;
+        HyperionCanvas.line(ctx, plot, this.x, Array.from(this.V, toPlot), colors.orange, 1.5);
+        ctx.setLineDash([6, 4]);
+        ctx.globalAlpha = 0.5;
+        HyperionCanvas.line(ctx, plot, [this.x[0], this.x[this.x.length - 1]], [toPlot(this.packetEnergy), toPlot(this.packetEnergy)], colors.orange, 1);
+        ctx.restore();
+    }
+
+    fillDensity(ctx, plot, density) {
+        const { inner, sx, sy } = plot;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(inner.x, inner.y, inner.width, inner.height);
+        ctx.clip();
+
+        ctx.beginPath();
+        ctx.moveTo(sx(this.x[0]), sy(0));
+        for (let i = 0; i < density.length; i++) ctx.lineTo(sx(this.x[i]), sy(density[i]));
+        ctx.lineTo(sx(this.x[this.x.length - 1]), sy(0));
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(0, 255, 65, 0.2)';
+        ctx.fill();
+        ctx.strokeStyle = HyperionCanvas.colors.green;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+HyperionRegistry.register({
+    "id": "schrodinger-1d",
+    "category": "quantum-physics",
+    "name": "Schrödinger Equation 1D",
+    "description": "Quantum wave function evolution",
+    "equations": ["iℏ∂ψ/∂t = Ĥψ", "P(x) = |ψ(x)|²", "⟨x⟩ = ∫ ψ*xψ dx", "ψ(t + Δt) ≈ e^{-iVΔt/2ℏ} F⁻¹ e^{-iℏk²Δt/2m} F e^{-iVΔt/2ℏ} ψ(t)"],
+    "parameters": [
+        {"name": "Barrier Height", "min": 0, "max": 10, "default": 5, "unit": "eV"},
+        {"name": "Particle Mass", "min": 0.1, "max": 2.0, "default": 1.0, "unit": "m_e"},
+        {"name": "Wave Packet Width", "min": 0.5, "max": 3.0, "default": 1.0, "unit": "nm"},
+        {"name": "Potential", "type": "select", "options": ["Barrier", "Well", "Harmonic", "Step"], "default": "Barrier", "unit": ""},
+        {"name": "Barrier Width", "min": 0.1, "max": 5, "default": 1, "unit": "nm"},
+        {"name": "Packet Energy", "min": 0.1, "max": 20, "default": 4, "unit": "eV", "step": 0.1}
+    ],
+    "observables": [
+        {"id": "time", "label": "t", "unit": "fs"},
+        {"id": "norm", "label": "Norm ∫|ψ|²dx", "precision": 5},
+        {"id": "meanX", "label": "⟨x⟩", "unit": "nm", "precision": 3},
+        {"id": "meanP", "label": "⟨p⟩", "unit": "ℏ/nm", "precision": 3},
+        {"id": "meanE", "label": "⟨E⟩", "unit": "eV", "precision": 3},
+        {"id": "probabilityRight", "label": "P(x > 0)", "precision": 4}
+    ],
+    "presets": [
+        {"name": "Tunneling (E < V₀)", "parameters": {"Packet Energy": 2}},
+        {"name": "Over-barrier reflection (E > V₀)", "parameters": {"Packet Energy": 8}},
+        {"name": "Harmonic trap", "parameters": {"Potential": "Harmonic"}},
+        {"name": "Potential step", "parameters": {"Potential": "Step"}}
+    ],
+    "engine": Schrodinger1DSimulation
+});
@@ -0,0 +1,481 @@
+// HYPERION - Superposition Demo
+// Normalized qubit on a rotatable Bloch sphere with gates and Born-rule measurement sampling
+
+class SuperpositionDemoSimulation {
+    static TOLERANCE = 0.01;
+    static GATE_DURATION = 600; // ms
+    static HISTORY_LENGTH = 2000;
+    static AUTO_ROTATE = 0.3; // rad/s while running
+    static BASES = {
+        Z: { axis: [0, 0, 1], outcomes: ['|0⟩', '|1⟩'] },
+        X: { axis: [1, 0, 0], outcomes: ['|+⟩', '|−⟩'] },
+        Y: { axis: [0, 1, 0], outcomes: ['|+i⟩', '|−i⟩'] }
+    };
+    // Each gate as its amplitude map and the Bloch rotation it performs
+    static GATES = {
+        H: { axis: [Math.SQRT1_2, 0, Math.SQRT1_2], angle: Math.PI, apply: ([ar, ai], [br, bi]) => [[(ar + br) * Math.SQRT1_2, (ai + bi) * Math.SQRT1_2], [(ar - br) * Math.SQRT1_2, (ai - bi) * Math.SQRT1_2]] },
+        X: { axis: [1, 0, 0], angle: Math.PI, apply: (a, b) => [b, a] },
+        Z: { axis: [0, 0, 1], angle: Math.PI, apply: (a, [br, bi]) => [a, [-br, -bi]] },
+        S: { axis: [0, 0, 1], angle: Math.PI / 2, apply: (a, [br, bi]) => [a, [-bi, br]] }
+    };
+
+    constructor(params) {
+        this.camera = { yaw: 0.5, pitch: -0.3 };
+        this.listeners = [];
+        this.animation = null;
+        this.frame = null;
+        this.seed = 1;
+        this.params = {};
+        this.setParameters(params);
+    }
+
+    // Amplitude sliders prepare a fresh state; the basis only restarts the statistics
+    setParameters(params) {
+        const previous = this.params;
+        this.params = { ...params };
+
+        if (['Alpha Amplitude', 'Alpha Phase', 'Beta Amplitude'].some(name => previous[name] !== params[name])) {
+            this.reset();
+        } else if (previous['Measurement Basis'] !== params['Measurement Basis']) {
+            this.clearMeasurements();
+        }
+    }
+
+    get basis() { return this.params['Measurement Basis'] ?? 'Z'; }
+    get shots() { return Math.round(this.params['Measurements (N)'] ?? 100); }
+
+    // |α| is taken as given and |β| = √(1 − |α|²); a Beta slider that disagrees is reported
+    prepare() {
+        const alpha = Math.max(0, Math.min(1, this.params['Alpha Amplitude'] ?? Math.SQRT1_2));
+        const phase = (this.params['Alpha Phase'] ?? 0) * Math.PI / 180;
+        const requestedBeta = this.params['Beta Amplitude'] ?? Math.SQRT1_2;
+        const beta = Math.sqrt(1 - alpha * alpha);
+        const total = alpha * alpha + requestedBeta * requestedBeta;
+
+        this.normalization = {
+            total,
+            requestedBeta,
+            beta,
+            consistent: Math.abs(total - 1) <= SuperpositionDemoSimulation.TOLERANCE
+        };
+        this.a = [alpha * Math.cos(phase), alpha * Math.sin(phase)];
+        this.b = [beta, 0];
+    }
+
+    reset() {
+        this.stopAnimation();
+        this.prepare();
+        this.gateLog = [];
+        this.clearMeasurements();
+    }
+
+    clearMeasurements() {
+        this.counts = [0, 0];
+        this.history = { n: [], frequency: [] };
+        this.stride = 1;
+    }
+
+    // r = (2 Re α*β, 2 Im α*β, |α|² − |β|²)
+    blochVector() {
+        const [ar, ai] = this.a;
+        const [br, bi] = this.b;
+        return [2 * (ar * br + ai * bi), 2 * (ar * bi - ai * br), ar * ar + ai * ai - br * br - bi * bi];
+    }
+
+    probabilities() {
+        const r = this.blochVector();
+        const n = SuperpositionDemoSimulation.BASES[this.basis].axis;
+        const plus = Math.max(0, Math.min(1, (1 + r[0] * n[0] + r[1] * n[1] + r[2] * n[2]) / 2));
+        return [plus, 1 - plus];
+    }
+
+    static random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Samples an ensemble of identically prepared qubits, so the state itself never collapses
+    measure() {
+        const { HISTORY_LENGTH } = SuperpositionDemoSimulation;
+        const [plus] = this.probabilities();
+        const random = SuperpositionDemoSimulation.random(this.seed++);
+
+        for (let shot = 0; shot < this.shots; shot++) {
+            this.counts[random() < plus ? 0 : 1]++;
+            const total = this.counts[0] + this.counts[1];
+            if (total % this.stride !== 0) continue;
+
+            this.history.n.push(total);
+            this.history.frequency.push(this.counts[0] / total);
+            if (this.history.n.length > HISTORY_LENGTH) {
+                this.history.n = this.history.n.filter((_, i) => i % 2 === 1);
+                this.history.frequency = this.history.frequency.filter((_, i) => i % 2 === 1);
+                this.stride *= 2;
+            }
+        }
+    }
+
+    applyGate(name) {
+        const gate = SuperpositionDemoSimulation.GATES[name];
+        this.stopAnimation();
+        this.animation = { from: this.blochVector(), axis: gate.axis, angle: gate.angle, progress: 0 };
+        [this.a, this.b] = gate.apply(this.a, this.b);
+        this.gateLog.push(name);
+        this.clearMeasurements();
+        this.animate();
+    }
+
+    // Gate rotations play out on their own clock so they also show while paused
+    animate() {
+        if (typeof requestAnimationFrame === 'undefined') {
+            this.animation = null;
+            return;
+        }
+
+        const started = performance.now();
+        const tick = (now) => {
+            if (!this.animation) return;
+            this.animation.progress = Math.min(1, (now - started) / SuperpositionDemoSimulation.GATE_DURATION);
+            this.onViewChange?.();
+            if (this.animation.progress < 1) {
+                this.frame = requestAnimationFrame(tick);
+            } else {
+                this.animation = null;
+                this.onViewChange?.();
+            }
+        };
+        this.frame = requestAnimationFrame(tick);
+    }
+
+    stopAnimation() {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.animation = null;
+    }
+
+    getActions() {
+        return [
+            { id: 'measure', label: '🎯 Measure N×' },
+            { id: 'clear', label: '🧹 Clear counts' },
+            ...Object.keys(SuperpositionDemoSimulation.GATES).map(name => ({
+                id: `gate-${name}`,
+                label: name === 'S' ? 'S (phase)' : `${name} gate`
+            }))
+        ];
+    }
+
+    runAction(id) {
+        if (id === 'measure') this.measure();
+        else if (id === 'clear') this.clearMeasurements();
+        else if (id.startsWith('gate-')) this.applyGate(id.slice(5));
+    }
+
+    step(dt) {
+        this.camera.yaw += dt * SuperpositionDemoSimulation.AUTO_ROTATE;
+    }
+
+    serialize() {
+        const { a, b, gateLog, counts, history, stride, camera } = this;
+        return { a, b, gateLog, counts, history, stride, camera };
+    }
+
+    restore(snapshot) {
+        this.stopAnimation();
+        Object.assign(this, snapshot);
+    }
+
+    attach(canvas) {
+        let drag = null;
+        const on = (target, type, handler) => {
+            target.addEventListener(type, handler);
+            this.listeners.push(() => target.removeEventListener(type, handler));
+        };
+
+        canvas.style.cursor = 'grab';
+        on(canvas, 'mousedown', (e) => {
+            drag = { x: e.clientX, y: e.clientY };
+            canvas.style.cursor = 'grabbing';
+        });
+        on(window, 'mousemove', (e) => {
+            if (!drag) return;
+            this.camera.yaw += (e.clientX - drag.x) * 0.01;
+            this.camera.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.pitch + (e.clientY - drag.y) * 0.01));
+            drag = { x: e.clientX, y: e.clientY };
+            this.onViewChange?.();
+        });
+        on(window, 'mouseup', () => {
+            drag = null;
+            canvas.style.cursor = 'grab';
+        });
+    }
+
+    dispose() {
+        this.stopAnimation();
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+    }
+
+    getView() {
+        return { ...this.camera };
+    }
+
+    setView(view) {
+        if (isFinite(view.yaw)) this.camera.yaw = view.yaw;
+        if (isFinite(view.pitch)) this.camera.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, view.pitch));
+    }
+
+    observe() {
+        const [ar, ai] = this.a;
+        const [br, bi] = this.b;
+        const r = this.blochVector();
+        const [plus, minus] = this.probabilities();
+        const { consistent, total, beta } = this.normalization;
+        const complex = (re, im) => `${re.toFixed(3)} ${im < -5e-4 ? '−' : '+'} ${Math.abs(im).toFixed(3)}i`;
+
+        return {
+            alpha: complex(ar, ai),
+            beta: complex(br, bi),
+            normalization: consistent ? 'OK' : `⚠ |α|² + |β|² = ${total.toFixed(3)}, using |β| = ${beta.toFixed(3)}`,
+            theta: Math.acos(Math.max(-1, Math.min(1, r[2]))) * 180 / Math.PI,
+            phi: Math.hypot(r[0], r[1]) > 1e-6 ? Math.atan2(r[1], r[0]) * 180 / Math.PI : 'undefined at pole',
+            basis: this.basis,
+            probabilityPlus: plus,
+            probabilityMinus: minus,
+            countPlus: this.counts[0],
+            countMinus: this.counts[1],
+            gates: this.gateLog.length ? this.gateLog.join(' ') : null
+        };
+    }
+
+    // Rodrigues rotation of v about the unit axis k
+    static rotate(v, k, angle) {
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        const dot = k[0] * v[0] + k[1] * v[1] + k[2] * v[2];
+        const cross = [k[1] * v[2] - k[2] * v[1], k[2] * v[0] - k[0] * v[2], k[0] * v[1] - k[1] * v[0]];
+        return v.map((value, i) => value * c + cross[i] * s + k[i] * dot * (1 - c));
+    }
+
+    project([x, y, z]) {
+        const { yaw, pitch } = this.camera;
+        const rx = x * Math.cos(yaw) - y * Math.sin(yaw);
+        const ry = x * Math.sin(yaw) + y * Math.cos(yaw);
+        return {
+            u: rx,
+            v: z * Math.cos(pitch) - ry * Math.sin(pitch),
+            depth: z * Math.sin(pitch) + ry * Math.cos(pitch)
+        };
+    }
+
+    draw(ctx, width, height) {
+        const canvas = HyperionCanvas;
+        canvas.clear(ctx, width, height);
+
+        const sphereWidth = Math.round(width * 0.55);
+        this.drawSphere(ctx, { x: 12, y: 12, width: sphereWidth - 18, height: height - 24 });
+
+        const column = { x: sphereWidth, width: width - sphereWidth - 12 };
+        const half = (height - 36) / 2;
+        this.drawHistogram(ctx, { ...column, y: 12, height: half });
+        this.drawConvergence(ctx, { ...column, y: half + 24, height: half });
+    }
+
+    drawSphere(ctx, rect) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { BASES } = SuperpositionDemoSimulation;
+        canvas.panel(ctx, rect, 'Bloch sphere');
+
+        const cx = rect.x + rect.width / 2;
+        const cy = rect.y + rect.height / 2 + 8;
+        const radius = Math.min(rect.width, rect.height) * 0.36;
+        const toScreen = (p) => ({ x: cx + p.u * radius, y: cy - p.v * radius });
+
+        ctx.fillStyle = 'rgba(0, 191, 255, 0.05)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        // Great circles, dimmed where they pass behind the sphere
+        const circles = [
+            t => [Math.cos(t), Math.sin(t), 0],
+            t => [Math.cos(t), 0, Math.sin(t)],
+            t => [0, Math.cos(t), Math.sin(t)]
+        ];
+        const segments = 72;
+        circles.forEach(circle => {
+            for (let i = 0; i < segments; i++) {
+                const a = this.project(circle(2 * Math.PI * i / segments));
+                const b = this.project(circle(2 * Math.PI * (i + 1) / segments));
+                ctx.strokeStyle = a.depth + b.depth > 0 ? 'rgba(255, 255, 255, 0.08)' : 'rgba(255, 255, 255, 0.25)';
+                ctx.beginPath();
+                ctx.moveTo(toScreen(a).x, toScreen(a).y);
+                ctx.lineTo(toScreen(b).x, toScreen(b).y);
+                ctx.stroke();
+            }
+        });
+
+        ctx.font = canvas.font(12);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        Object.entries(BASES).forEach(([name, { axis, outcomes }]) => {
+            const measured = name === this.basis;
+            [1, -1].forEach((sign, index) => {
+                const end = toScreen(this.project(axis.map(v => v * sign)));
+                const label = toScreen(this.project(axis.map(v => v * sign * 1.2)));
+                ctx.strokeStyle = measured ? colors.orange : colors.axis;
+                ctx.globalAlpha = measured ? 0.9 : 0.5;
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(end.x, end.y);
+                ctx.stroke();
+                ctx.fillStyle = measured ? colors.orange : colors.text;
+                ctx.fillText(outcomes[index], label.x, label.y);
+            });
+        });
+        ctx.globalAlpha = 1;
+
+        const { animation } = this;
+        const vector = animation
+            ? SuperpositionDemoSimulation.rotate(animation.from, animation.axis, animation.angle * (1 - Math.pow(1 - animation.progress, 3)))
+            : this.blochVector();
+        const tip = toScreen(this.project(vector));
+        const foot = toScreen(this.project([vector[0], vector[1], 0]));
+
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = 'rgba(0, 255, 65, 0.4)';
+        ctx.beginPath();
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(foot.x, foot.y);
+        ctx.lineTo(cx, cy);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = colors.green;
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(tip.x, tip.y);
+        ctx.stroke();
+        ctx.fillStyle = colors.green;
+        ctx.shadowColor = colors.green;
+        ctx.shadowBlur = 12;
+        ctx.beginPath();
+        ctx.arc(tip.x, tip.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+
+        const lines = [{ text: 'drag to rotate', color: colors.muted }];
+        if (!this.normalization.consistent) {
+            lines.unshift({ text: `⚠ inputs not normalized: |β| set to ${this.normalization.beta.toFixed(3)}`, color: colors.red });
+        }
+        canvas.legend(ctx, rect.x + 8, rect.y + 24, lines);
+    }
+
+    drawHistogram(ctx, rect) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { outcomes } = SuperpositionDemoSimulation.BASES[this.basis];
+        const total = this.counts[0] + this.counts[1];
+        const born = this.probabilities();
+        canvas.panel(ctx, rect, `${this.basis}-basis outcomes · ${total} shots`);
+
+        const base = rect.y + rect.height - 24;
+        const top = rect.y + 32;
+        const barWidth = rect.width / 5;
+
+        [0, 1].forEach(index => {
+            const x = rect.x + rect.width * (index === 0 ? 0.3 : 0.7) - barWidth / 2;
+            const frequency = total ? this.counts[index] / total : 0;
+            const barTop = base - frequency * (base - top);
+            const bornY = base - born[index] * (base - top);
+
+            ctx.fillStyle = index === 0 ? 'rgba(0, 191, 255, 0.6)' : 'rgba(153, 102, 204, 0.6)';
+            ctx.fillRect(x, barTop, barWidth, base - barTop);
+
+            ctx.strokeStyle = colors.orange;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x - 6, bornY);
+            ctx.lineTo(x + barWidth + 6, bornY);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.font = canvas.font(11);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillStyle = colors.text;
+            ctx.fillText(outcomes[index], x + barWidth / 2, base + 4);
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(total ? frequency.toFixed(3) : '', x + barWidth / 2, Math.min(barTop, bornY) - 4);
+        });
+
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(rect.x + 8, base + 0.5);
+        ctx.lineTo(rect.x + rect.width - 8, base + 0.5);
+        ctx.stroke();
+
+        canvas.legend(ctx, rect.x + 8, rect.y + 22, [{ text: '- - Born probability', color: colors.orange }]);
+    }
+
+    drawConvergence(ctx, rect) {
+        const canvas = HyperionCanvas;
+        const { colors } = canvas;
+        const { outcomes } = SuperpositionDemoSimulation.BASES[this.basis];
+        const { n, frequency } = this.history;
+        const last = n.length ? n[n.length - 1] : 1;
+        const [plus] = this.probabilities();
+
+        const plot = canvas.axes(ctx, rect, [0, Math.max(last, 1)], [0, 1],
+            { title: `Running frequency of ${outcomes[0]}`, xLabel: 'shots' });
+        canvas.line(ctx, plot, [0, Math.max(last, 1)], [plus, plus], colors.orange, 1);
+        canvas.line(ctx, plot, n, frequency, colors.blue, 1.5);
+    }
+}
+
+HyperionRegistry.register({
+    "id": "superposition-demo",
+    "category": "quantum-physics",
+    "name": "Superposition Demo",
+    "description": "Quantum superposition of states",
+    "equations": ["|ψ⟩ = α|0⟩ + β|1⟩", "|α|² + |β|² = 1", "P(0) = |α|², P(1) = |β|²", "|ψ⟩ = cos(θ/2)|0⟩ + e^{iφ} sin(θ/2)|1⟩", "P(±n̂) = (1 ± r⃗·n̂)/2"],
+    "parameters": [
+        {"name": "Alpha Amplitude", "min": 0, "max": 1, "default": 0.707, "unit": ""},
+        {"name": "Alpha Phase", "min": 0, "max": 360, "default": 0, "unit": "°"},
+        {"name": "Beta Amplitude", "min": 0, "max": 1, "default": 0.707, "unit": ""},
+        {"name": "Measurement Basis", "type": "select", "options": ["Z", "X", "Y"], "default": "Z", "unit": ""},
+        {"name": "Measurements (N)", "min": 1, "max": 10000, "default": 100, "unit": "", "step": 1}
+    ],
+    "observables": [
+        {"id": "alpha", "label": "α", "format": "text"},
+        {"id": "beta", "label": "β", "format": "text"},
+        {"id": "normalization", "label": "Normalization", "format": "text"},
+        {"id": "theta", "label": "Bloch θ", "unit": "°", "precision": 1},
+        {"id": "phi", "label": "Bloch φ", "unit": "°", "precision": 1},
+        {"id": "basis", "label": "Measurement basis", "format": "text"},
+        {"id": "probabilityPlus", "label": "Born P(+)", "precision": 4},
+        {"id": "probabilityMinus", "label": "Born P(−)", "precision": 4},
+        {"id": "countPlus", "label": "Measured +", "format": "integer"},
+        {"id": "countMinus", "label": "Measured −", "format": "integer"},
+        {"id": "gates", "label": "Gates applied", "format": "text"}
+    ],
+    "presets": [
+        {"name": "Basis state |0⟩", "parameters": {"Alpha Amplitude": 1, "Beta Amplitude": 0}},
+        {"name": "Equal superposition |+⟩", "parameters": {"Alpha Amplitude": 0.707, "Alpha Phase": 0, "Beta Amplitude": 0.707}},
+        {"name": "Phase state |+i⟩", "parameters": {"Alpha Amplitude": 0.707, "Alpha Phase": 270, "Beta Amplitude": 0.707}},
+        {"name": "Biased (P(0) = 0.8)", "parameters": {"Alpha Amplitude": 0.894, "Beta Amplitude": 0.447}}
+    ],
+    "engine": SuperpositionDemoSimulation
+});
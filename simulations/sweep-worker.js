@@ -0,0 +1,19 @@
+// HYPERION - Sweep worker
+// Runs parameter sweeps through the headless core off the main thread, one message per finished cell
+
+// The core names the scripts the engines need, the same ones Node loads
+importScripts('core.js');
+importScripts(...HyperionCore.SCRIPTS);
+
+self.onmessage = (event) => {
+    const plan = event.data;
+    try {
+        const grid = HyperionCore.sweepGrid(plan);
+        for (let index = 0; index < grid.count; index++) {
+            self.postMessage({ type: 'cell', index, value: HyperionCore.sweepCell(plan, grid, index) });
+        }
+        self.postMessage({ type: 'done' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,198 @@
+// HYPERION - Parameter sweeps
+// Runs a sweep plan in a worker (or in slices on the page when workers are unavailable) and plots
+// the metric as a line against one parameter or as a heatmap over two
+
+class HyperionSweep {
+    static WORKER_URL = 'simulations/sweep-worker.js';
+    static MAX_STEPS = 100;
+    static MAX_CELLS = 2500;
+    static SLICE_BUDGET_MS = 12;
+    static HEIGHT = 320;
+    static COLORMAP = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+
+    // plan: see HyperionCore.sweepGrid
+    constructor(plan) {
+        this.plan = plan;
+        this.grid = HyperionCore.sweepGrid(plan);
+        if (this.grid.count > HyperionSweep.MAX_CELLS) {
+            throw new Error(`A sweep is limited to ${HyperionSweep.MAX_CELLS} runs; this one needs ${this.grid.count}`);
+        }
+        this.results = new Float64Array(this.grid.count).fill(NaN);
+        this.completed = 0;
+        this.worker = null;
+        this.timer = null;
+        this.finished = false;
+    }
+
+    get running() {
+        return !this.finished && (this.worker !== null || this.timer !== null);
+    }
+
+    // callbacks: { progress(completed, count), done(), error(message) }
+    start(callbacks) {
+        this.callbacks = callbacks;
+        const receive = (index, value) => {
+            this.results[index] = value;
+            this.completed = index + 1;
+            callbacks.progress(this.completed, this.grid.count);
+        };
+
+        try {
+            this.worker = new Worker(HyperionSweep.WORKER_URL);
+        } catch (error) {
+            this.worker = null;
+        }
+        if (!this.worker) {
+            this.runSlices(receive);
+            return;
+        }
+
+        this.worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'cell') {
+                receive(message.index, message.value);
+            } else {
+                this.finish();
+                if (message.type === 'done') callbacks.done();
+                else callbacks.error(message.message);
+            }
+        };
+        // Pages opened from file:// cannot start workers; carry on from the last finished cell
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.runSlices(receive);
+        };
+        this.worker.postMessage(this.plan);
+    }
+
+    // Main-thread fallback: a few cells per task so the page keeps responding
+    runSlices(receive) {
+        const slice = () => {
+            this.timer = null;
+            const started = performance.now();
+            try {
+                while (this.completed < this.grid.count && performance.now() - started < HyperionSweep.SLICE_BUDGET_MS) {
+                    receive(this.completed, HyperionCore.sweepCell(this.plan, this.grid, this.completed));
+                }
+            } catch (error) {
+                this.finish();
+                this.callbacks.error(error.message);
+                return;
+            }
+
+            if (this.completed < this.grid.count) {
+                this.timer = setTimeout(slice, 0);
+            } else {
+                this.finish();
+                this.callbacks.done();
+            }
+        };
+        this.timer = setTimeout(slice, 0);
+    }
+
+    finish() {
+        this.finished = true;
+        this.worker?.terminate();
+        this.worker = null;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    cancel() {
+        this.finish();
+    }
+
+    static color(t) {
+        const { COLORMAP } = HyperionSweep;
+        const x = Math.max(0, Math.min(1, t)) * (COLORMAP.length - 1);
+        const i = Math.min(Math.floor(x), COLORMAP.length - 2);
+        const f = x - i;
+        const [r, g, b] = COLORMAP[i].map((channel, k) => Math.round(channel + (COLORMAP[i + 1][k] - channel) * f));
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    // metricLabel and axisLabels name the plotted quantities, with units
+    draw(canvas, metricLabel, axisLabels) {
+        const ctx = canvas.getContext('2d');
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = HyperionSweep.HEIGHT;
+        if (!ctx || width === 0) return;
+
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.height = `${height}px`;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        HyperionCanvas.clear(ctx, width, height);
+
+        if (this.grid.axes.length === 1) {
+            this.drawLine(ctx, { x: 0, y: 0, width, height }, metricLabel, axisLabels[0]);
+        } else {
+            this.drawHeatmap(ctx, { x: 0, y: 0, width, height }, metricLabel, axisLabels);
+        }
+    }
+
+    drawLine(ctx, rect, metricLabel, xLabel) {
+        const xs = this.grid.axes[0];
+        const ys = Array.from(this.results);
+        const [yMin, yMax] = HyperionCanvas.range(ys);
+        const plot = HyperionCanvas.axes(ctx, rect, [xs[0], xs[xs.length - 1]], [yMin, yMax], {
+            title: metricLabel,
+            xLabel
+        });
+
+        HyperionCanvas.line(ctx, plot, xs, ys, HyperionCanvas.colors.blue);
+        ys.forEach((y, i) => {
+            if (isFinite(y)) HyperionCanvas.marker(ctx, plot, xs[i], y, HyperionCanvas.colors.blue, 2.5);
+        });
+    }
+
+    // Cells are centred on their values; the colour bar on the right spans the finished results
+    drawHeatmap(ctx, rect, metricLabel, [xLabel, yLabel]) {
+        const [xs, ys] = this.grid.axes;
+        const halfCell = (values) => values.length > 1 ? (values[values.length - 1] - values[0]) / (values.length - 1) / 2 : 0.5;
+        const dx = halfCell(xs);
+        const dy = halfCell(ys);
+        const plotRect = { ...rect, width: rect.width - 64 };
+        const plot = HyperionCanvas.axes(ctx, plotRect, [xs[0] - dx, xs[xs.length - 1] + dx], [ys[0] - dy, ys[ys.length - 1] + dy], {
+            title: metricLabel,
+            xLabel,
+            yLabel
+        });
+        const { sx, sy } = plot;
+
+        let min = Infinity;
+        let max = -Infinity;
+        this.results.forEach(value => {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        });
+        const span = max - min || 1;
+
+        this.results.forEach((value, index) => {
+            if (!isFinite(value)) return;
+            const x = xs[index % xs.length];
+            const y = ys[Math.floor(index / xs.length)];
+            const left = Math.floor(sx(x - dx));
+            const top = Math.floor(sy(y + dy));
+            ctx.fillStyle = HyperionSweep.color((value - min) / span);
+            ctx.fillRect(left, top, Math.ceil(sx(x + dx)) - left, Math.ceil(sy(y - dy)) - top);
+        });
+
+        if (min > max) return;
+        const bar = { x: rect.x + rect.width - 52, y: plot.inner.y, width: 12, height: plot.inner.height };
+        for (let row = 0; row < bar.height; row++) {
+            ctx.fillStyle = HyperionSweep.color(1 - row / bar.height);
+            ctx.fillRect(bar.x, bar.y + row, bar.width, 1);
+        }
+        ctx.font = HyperionCanvas.font(10);
+        ctx.fillStyle = HyperionCanvas.colors.text;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(HyperionCanvas.formatTick(max), bar.x + bar.width + 4, bar.y);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(HyperionCanvas.formatTick(min), bar.x + bar.width + 4, bar.y + bar.height);
+    }
+}
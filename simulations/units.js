@@ -0,0 +1,111 @@
+// HYPERION - Units
+// Dimensions, SI prefixes and conversions for parameter units. Engines keep working in the unit a
+// parameter declares; the page may show and accept its value in any other unit of the same dimension
+
+const HyperionUnits = {
+    // Factors to the dimension's SI unit; the first unit of each dimension in CHOICES is the SI one
+    UNITS: {
+        'kg': ['mass', 1],
+        'g': ['mass', 1e-3],
+        'm_e': ['mass', 9.1093837015e-31],
+        'u': ['mass', 1.6605390666e-27],
+        'M⊕': ['mass', 5.9722e24],
+        'M☉': ['mass', 1.98847e30],
+        'm': ['length', 1],
+        'Å': ['length', 1e-10],
+        'R⊕': ['length', 6.371e6],
+        'AU': ['length', 1.495978707e11],
+        's': ['time', 1],
+        'min': ['time', 60],
+        'h': ['time', 3600],
+        'd': ['time', 86400],
+        'm/s': ['speed', 1],
+        'km/s': ['speed', 1e3],
+        'km/h': ['speed', 1 / 3.6],
+        'm/s²': ['acceleration', 1],
+        'g₀': ['acceleration', 9.80665],
+        'J': ['energy', 1],
+        'eV': ['energy', 1.602176634e-19],
+        'rad': ['angle', 1],
+        '°': ['angle', Math.PI / 180],
+        'rad/s': ['angular frequency', 1],
+        'Hz': ['angular frequency', 2 * Math.PI],
+        'N/m': ['stiffness', 1],
+        'kg/s': ['damping', 1],
+        'kg/m': ['quadratic drag', 1]
+    },
+
+    // Prefixed forms ("nm", "keV", "ms") are read off these and need no entry of their own
+    PREFIXES: { 'p': 1e-12, 'n': 1e-9, 'µ': 1e-6, 'm': 1e-3, 'c': 1e-2, 'k': 1e3, 'M': 1e6, 'G': 1e9 },
+    PREFIXABLE: ['m', 's', 'g', 'J', 'eV', 'Hz'],
+
+    // Units offered for display, by dimension
+    CHOICES: {
+        'mass': ['kg', 'g', 'm_e', 'u', 'M⊕', 'M☉'],
+        'length': ['m', 'nm', 'Å', 'mm', 'km', 'R⊕', 'AU'],
+        'time': ['s', 'ms', 'min', 'h', 'd'],
+        'speed': ['m/s', 'km/s', 'km/h'],
+        'acceleration': ['m/s²', 'g₀'],
+        'energy': ['J', 'eV', 'meV', 'keV', 'MeV'],
+        'angle': ['°', 'rad'],
+        'angular frequency': ['rad/s', 'Hz']
+    },
+
+    // { symbol, dimension, factor }, or null for units outside the system ("x", "log₁₀", "")
+    parse(symbol) {
+        const known = this.UNITS[symbol];
+        if (known) return { symbol, dimension: known[0], factor: known[1] };
+
+        for (const [prefix, scale] of Object.entries(this.PREFIXES)) {
+            const base = symbol.slice(prefix.length);
+            if (symbol.startsWith(prefix) && this.PREFIXABLE.includes(base)) {
+                const [dimension, factor] = this.UNITS[base];
+                return { symbol, dimension, factor: factor * scale };
+            }
+        }
+        return null;
+    },
+
+    convert(value, from, to) {
+        if (from === to) return value;
+        const source = this.parse(from);
+        const target = this.parse(to);
+        if (!source || !target || source.dimension !== target.dimension) {
+            throw new Error(`Cannot convert ${from || 'a plain number'} to ${to || 'a plain number'}`);
+        }
+        return value * source.factor / target.factor;
+    },
+
+    // Display units for a parameter's unit, its own first; empty when there is nothing to convert to
+    choices(symbol) {
+        const unit = this.parse(symbol);
+        const choices = unit ? this.CHOICES[unit.dimension] : null;
+        if (!choices) return [];
+        return [symbol, ...choices.filter(choice => choice !== symbol)];
+    },
+
+    // Significant digits, switching to exponent form ("5.97e24") for very large and very small magnitudes
+    formatNumber(value, digits = 4) {
+        if (typeof value === 'string') return value;
+        if (!isFinite(value)) return String(value);
+        if (value === 0) return '0';
+
+        const magnitude = Math.abs(value);
+        if (magnitude >= 1e6 || magnitude < 1e-3) {
+            const [mantissa, exponent] = value.toExponential(digits - 1).split('e');
+            return `${parseFloat(mantissa)}e${parseInt(exponent, 10)}`;
+        }
+        return String(parseFloat(value.toPrecision(digits)));
+    },
+
+    format(value, unit, digits) {
+        const text = this.formatNumber(value, digits);
+        if (!unit || typeof value === 'string') return text;
+        return unit === '°' ? `${text}°` : `${text} ${unit}`;
+    }
+};
+
+// Node loads this through core.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HyperionUnits;
+}
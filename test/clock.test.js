@@ -0,0 +1,79 @@
+// HYPERION - Simulation clock checks
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HyperionClock = require('../simulations/clock.js');
+
+const { FIXED_STEP } = HyperionClock;
+
+// Feeds frames of the given lengths and ticks once per step owed, as the page loop does
+const run = (clock, frames) => {
+    frames.forEach(frame => {
+        const steps = clock.advance(frame);
+        for (let i = 0; i < steps; i++) clock.tick();
+    });
+    return clock;
+};
+
+test('steps owed do not depend on how real time is sliced into frames', () => {
+    const smooth = run(new HyperionClock(), Array(120).fill(1 / 60));
+    const jittery = run(new HyperionClock(), Array(60).fill([1 / 120, 1 / 40]).flat());
+    assert.equal(smooth.steps, 120);
+    assert.equal(jittery.steps, 120);
+});
+
+test('time scale multiplies the steps owed', () => {
+    const clock = new HyperionClock();
+    clock.setTimeScale(0.25);
+    run(clock, Array(240).fill(1 / 60));
+    assert.equal(clock.steps, 60);
+
+    clock.setTimeScale('nonsense');
+    clock.setTimeScale(-1);
+    assert.equal(clock.timeScale, 0.25);
+});
+
+test('long frames are capped so a stalled tab does not spiral', () => {
+    const clock = new HyperionClock();
+    const steps = clock.advance(10);
+    assert.equal(steps, Math.floor(HyperionClock.MAX_FRAME / FIXED_STEP + 1e-9));
+});
+
+test('snapshots are taken on the interval and looked up at or before a time', () => {
+    const clock = new HyperionClock();
+    const interval = Math.round(HyperionClock.SNAPSHOT_INTERVAL / FIXED_STEP);
+    for (let i = 0; i < 4 * interval; i++) {
+        clock.tick();
+        if (clock.snapshotDue()) clock.pushSnapshot({ value: clock.steps });
+    }
+
+    assert.deepEqual(clock.snapshots.map(snapshot => snapshot.steps), [1, 2, 3, 4].map(k => k * interval));
+    assert.equal(clock.snapshotAt(1.2).value, 2 * interval);
+    assert.equal(clock.snapshotAt(0).value, interval);
+});
+
+test('stepping on after a rewind drops the abandoned future', () => {
+    const clock = new HyperionClock();
+    [1, 2, 3].forEach(k => {
+        clock.seek(k);
+        clock.pushSnapshot({});
+    });
+
+    clock.restore(clock.snapshotAt(2));
+    assert.equal(clock.rewound, true);
+    assert.equal(clock.latest, 3);
+
+    clock.discardFuture();
+    assert.equal(clock.rewound, false);
+    assert.equal(clock.latest, 2);
+});
+
+test('the snapshot ring keeps only the most recent entries', () => {
+    const clock = new HyperionClock();
+    for (let i = 0; i < HyperionClock.SNAPSHOT_CAPACITY + 10; i++) {
+        clock.tick();
+        clock.pushSnapshot({});
+    }
+    assert.equal(clock.snapshots.length, HyperionClock.SNAPSHOT_CAPACITY);
+    assert.equal(clock.earliest, 11 * FIXED_STEP);
+});
@@ -0,0 +1,158 @@
+// HYPERION - Headless core checks
+// Runs engines through HyperionCore in Node and compares them with closed-form results
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HyperionCore = require('../simulations/core.js');
+
+const close = (actual, expected, tolerance, message) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('every registered simulation runs, observes and round-trips through serialize', () => {
+    HyperionCore.list().forEach(({ id }) => {
+        const simulation = HyperionCore.getSimulation(id);
+        const run = HyperionCore.create(id);
+        run.advance(0.5);
+
+        const values = run.observe();
+        simulation.observables.forEach(observable => {
+            assert.ok(observable.id in values, `${id} does not report "${observable.id}"`);
+        });
+
+        assert.ok(run.serializable, `${id} cannot be serialized`);
+        const snapshot = run.serialize();
+        const copy = HyperionCore.restore(snapshot);
+        assert.equal(copy.time, run.time);
+        run.dispose();
+        copy.dispose();
+    });
+});
+
+test('undamped oscillator swings with period 2π√(m/k)', () => {
+    const run = HyperionCore.create('harmonic-oscillator', { 'Mass': 2, 'Spring Constant': 8, 'Amplitude': 1 });
+    const engine = run.engine;
+    const crossings = [];
+    let previous = { t: engine.time, x: engine.x };
+    while (crossings.length < 4) {
+        run.step(0.01);
+        if (previous.x > 0 && engine.x <= 0) {
+            crossings.push(previous.t + (engine.time - previous.t) * previous.x / (previous.x - engine.x));
+        }
+        previous = { t: engine.time, x: engine.x };
+    }
+
+    const period = (crossings[3] - crossings[0]) / 3;
+    close(period, 2 * Math.PI * Math.sqrt(2 / 8), 1e-4, 'period');
+    close(run.observe().energyDrift, 0, 1e-3, 'energy drift (%)');
+});
+
+test('drag-free projectile lands at R = v₀² sin 2θ / g', () => {
+    const run = HyperionCore.create('projectile-motion', { 'Initial Velocity': 30, 'Launch Angle': 35, 'Gravity': 9.81 });
+    const theta = 35 * Math.PI / 180;
+    const values = run.observe();
+    close(values.range, 30 * 30 * Math.sin(2 * theta) / 9.81, 1e-6, 'range');
+    close(values.flightTime, 2 * 30 * Math.sin(theta) / 9.81, 1e-6, 'flight time');
+    close(values.apex, Math.pow(30 * Math.sin(theta), 2) / (2 * 9.81), 1e-3, 'apex');
+
+    const dragged = HyperionCore.create('projectile-motion', { 'Initial Velocity': 30, 'Launch Angle': 35, 'Drag Model': 'Quadratic' });
+    assert.ok(dragged.observe().range < values.range, 'drag shortens the range');
+});
+
+test('Kepler orbit returns to its starting point after one period', () => {
+    const run = HyperionCore.create('orbital-mechanics', { 'Eccentricity': 0.5 });
+    const start = run.observe();
+    run.engine.step(start.period / run.engine.timeAcceleration);
+    const end = run.observe();
+    close(end.radius, start.radius, start.radius * 1e-6, 'radius');
+    close((end.trueAnomaly - start.trueAnomaly + 540) % 360 - 180, 0, 1e-6, 'true anomaly (°)');
+});
+
+test('orbits are flagged when periapsis dips below the surface', () => {
+    assert.equal(HyperionCore.create('orbital-mechanics').observe().status, 'Clear of the surface');
+    const grazing = HyperionCore.create('orbital-mechanics', { 'Orbital Radius': 6.5e6, 'Eccentricity': 0.1 }).observe();
+    assert.ok(grazing.periapsisAltitude < 0);
+    assert.equal(grazing.status, 'Periapsis below the surface');
+});
+
+test('fast time acceleration still samples the orbit finely', () => {
+    const run = HyperionCore.create('orbital-mechanics', { 'Orbital Radius': 6.771e6, 'Eccentricity': 0, 'Time Acceleration': 1e6 });
+    run.step();
+    const { trail } = run.engine;
+    const radius = 6.771e6;
+    for (let i = 1; i < trail.length; i++) {
+        const chord = Math.hypot(trail[i].x - trail[i - 1].x, trail[i].y - trail[i - 1].y);
+        assert.ok(chord < 2 * Math.PI * radius / 100, `trail points ${i - 1} and ${i} are ${chord} m apart`);
+    }
+});
+
+test('superposition presets named after a basis state sit on that Bloch axis', () => {
+    const simulation = HyperionCore.getSimulation('superposition-demo');
+    const kets = Object.values(simulation.engine.BASES).flatMap(({ axis, outcomes }) => [
+        { ket: outcomes[0], axis },
+        { ket: outcomes[1], axis: axis.map(component => -component) }
+    ]);
+
+    const named = simulation.presets.filter(preset => kets.some(({ ket }) => preset.name.includes(ket)));
+    assert.ok(named.length > 0);
+    named.forEach(preset => {
+        const { axis } = kets.find(({ ket }) => preset.name.includes(ket));
+        const r = HyperionCore.create(simulation.id, preset.parameters).engine.blochVector();
+        axis.forEach((component, i) => close(r[i], component, 1e-3, `${preset.name} r[${i}]`));
+    });
+});
+
+test('n-body advances sim time at the Simulation Speed whatever the time step', () => {
+    [[0.01, 1], [0.1, 1], [0.007, 2.3]].forEach(([timeStep, speed]) => {
+        const run = HyperionCore.create('n-body-simulation', { 'Time Step': timeStep, 'Simulation Speed': speed });
+        run.advance(3);
+        const owed = 3 * speed - run.observe().time;
+        assert.ok(owed > -1e-9 && owed < timeStep, `step ${timeStep} × ${speed}: ${run.observe().time} s of sim time`);
+        run.dispose();
+    });
+});
+
+test('n-body bounds its work per call', () => {
+    const crowded = HyperionCore.create('n-body-simulation', { 'Number of Bodies': 1000, 'Initial Conditions': 'Random Cluster' });
+    assert.equal(crowded.observe().forceMethod, 'Barnes-Hut');
+    crowded.dispose();
+
+    const engine = HyperionCore.createEngine('n-body-simulation', { 'Time Step': 0.01 }, { headless: true });
+    const batch = engine.batchTime;
+    engine.fastForward(10);
+    close(engine.observe().time, batch, 1e-9, 'time after one fast-forward batch');
+    while (engine.backlog > 0) engine.step(0);
+    close(engine.observe().time, 10, 1e-6, 'time once the backlog drains');
+
+    engine.step(60);
+    close(engine.observe().time, 10 + batch, 1e-6, 'late time beyond one batch is dropped');
+});
+
+test('n-body runs are reproducible and resume exactly from a snapshot', () => {
+    const values = { 'Number of Bodies': 200, 'Initial Conditions': 'Random Cluster', 'Force Method': 'Barnes-Hut' };
+    const first = HyperionCore.create('n-body-simulation', values).advance(0.5);
+    const second = HyperionCore.create('n-body-simulation', values).advance(0.5);
+    assert.equal(first.observe().totalEnergy, second.observe().totalEnergy);
+
+    const snapshot = first.serialize();
+    first.advance(0.5);
+    const resumed = HyperionCore.restore(snapshot).advance(0.5);
+    assert.equal(resumed.observe().time, first.observe().time);
+    assert.equal(resumed.observe().totalEnergy, first.observe().totalEnergy);
+});
+
+test('parameters are clamped, defaulted and checked by name', () => {
+    const simulation = HyperionCore.getSimulation('harmonic-oscillator');
+    const resolved = HyperionCore.resolveParameters(simulation, { 'Mass': 1e9, 'Integrator': 'Magic' });
+    const mass = simulation.parameters.find(param => param.name === 'Mass');
+    assert.equal(resolved['Mass'], mass.max);
+    assert.equal(resolved['Integrator'], HyperionCore.defaults('harmonic-oscillator')['Integrator']);
+    assert.throws(() => HyperionCore.create('harmonic-oscillator', { 'Colour': 1 }), /no parameter "Colour"/);
+    assert.throws(() => HyperionCore.create('no-such-simulation'), /Unknown simulation/);
+});
+
+test('recordings sample at the requested rate', () => {
+    const recorder = HyperionCore.create('harmonic-oscillator').record(2, 10);
+    const lines = recorder.toCSV().trim().split('\n');
+    assert.equal(lines.length, 1 + 21);
+});
@@ -0,0 +1,51 @@
+// HYPERION - Unit system checks
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HyperionCore = require('../simulations/core.js');
+const HyperionUnits = require('../simulations/units.js');
+
+test('prefixed units are read off their base unit', () => {
+    assert.deepEqual(HyperionUnits.parse('nm'), { symbol: 'nm', dimension: 'length', factor: 1e-9 });
+    assert.equal(HyperionUnits.parse('keV').factor, 1e3 * 1.602176634e-19);
+    assert.equal(HyperionUnits.parse('ms').dimension, 'time');
+    assert.equal(HyperionUnits.parse('x'), null);
+    assert.equal(HyperionUnits.parse(''), null);
+});
+
+test('conversions stay within a dimension', () => {
+    assert.equal(HyperionUnits.convert(1.5, 'km', 'm'), 1500);
+    assert.ok(Math.abs(HyperionUnits.convert(180, '°', 'rad') - Math.PI) < 1e-12);
+    assert.ok(Math.abs(HyperionUnits.convert(1, 'eV', 'meV') - 1000) < 1e-9);
+    assert.equal(HyperionUnits.convert(7, 'x', 'x'), 7);
+    assert.throws(() => HyperionUnits.convert(1, 'kg', 'm'), /Cannot convert kg to m/);
+    assert.throws(() => HyperionUnits.convert(1, '', 'm'), /a plain number/);
+});
+
+test('display choices put the unit first and are empty without alternatives', () => {
+    assert.deepEqual(HyperionUnits.choices('km/s'), ['km/s', 'm/s', 'km/h']);
+    assert.deepEqual(HyperionUnits.choices('N/m'), []);
+    assert.deepEqual(HyperionUnits.choices('x'), []);
+});
+
+test('numbers switch to exponent form at the extremes', () => {
+    assert.equal(HyperionUnits.formatNumber(5.9722e24, 3), '5.97e24');
+    assert.equal(HyperionUnits.formatNumber(0.00012345, 3), '1.23e-4');
+    assert.equal(HyperionUnits.formatNumber(123.456, 4), '123.5');
+    assert.equal(HyperionUnits.formatNumber(0), '0');
+    assert.equal(HyperionUnits.format(45, '°'), '45°');
+    assert.equal(HyperionUnits.format(3, 'm/s'), '3 m/s');
+});
+
+// Units outside the system are labels the page shows as they are: multipliers and log scales
+test('every parameter unit is in the system or a known label', () => {
+    const labels = ['', 'x', 'log₁₀', 'log₁₀ rad'];
+    HyperionCore.list().forEach(({ id }) => {
+        HyperionCore.getSimulation(id).parameters
+            .filter(param => param.type !== 'select')
+            .forEach(param => {
+                assert.ok(HyperionUnits.parse(param.unit) !== null || labels.includes(param.unit),
+                    `${id} "${param.name}" has unit "${param.unit}"`);
+            });
+    });
+});
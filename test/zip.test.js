@@ -0,0 +1,56 @@
+// HYPERION - Zip writer checks
+// Reads the archive back field by field, as an unzip tool would
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HyperionZip } = require('../simulations/capture.js');
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+test('crc32 matches the standard check values', () => {
+    assert.equal(HyperionZip.crc32(bytes('123456789')), 0xcbf43926);
+    assert.equal(HyperionZip.crc32(bytes('')), 0);
+});
+
+test('dates pack into MS-DOS fields', () => {
+    const { time, date } = HyperionZip.dosDateTime(new Date(2024, 2, 15, 13, 45, 58));
+    assert.equal(time, (13 << 11) | (45 << 5) | 29);
+    assert.equal(date, (44 << 9) | (3 << 5) | 15);
+});
+
+test('archives list every entry in the central directory with matching local headers', async () => {
+    const files = [['frame-0001.png', bytes('first frame')], ['frame-0002.png', bytes('second, longer frame')]];
+    const zip = new HyperionZip();
+    files.forEach(([name, data]) => zip.add(name, data));
+
+    const blob = zip.toBlob();
+    assert.equal(blob.type, 'application/zip');
+    const view = new DataView(await blob.arrayBuffer());
+
+    const end = view.byteLength - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    assert.equal(view.getUint16(end + 10, true), files.length);
+
+    let record = view.getUint32(end + 16, true);
+    assert.equal(record + view.getUint32(end + 12, true), end);
+
+    const decoder = new TextDecoder();
+    files.forEach(([name, data]) => {
+        assert.equal(view.getUint32(record, true), 0x02014b50);
+        const crc = view.getUint32(record + 16, true);
+        const nameLength = view.getUint16(record + 28, true);
+        const local = view.getUint32(record + 42, true);
+        assert.equal(decoder.decode(new Uint8Array(view.buffer, record + 46, nameLength)), name);
+        assert.equal(crc, HyperionZip.crc32(data));
+        assert.equal(view.getUint32(record + 24, true), data.length);
+
+        // Stored entries: the data follows the local header and its name unchanged
+        assert.equal(view.getUint32(local, true), 0x04034b50);
+        assert.equal(view.getUint16(local + 8, true), 0);
+        assert.equal(view.getUint32(local + 14, true), crc);
+        const start = local + 30 + view.getUint16(local + 26, true);
+        assert.deepEqual(new Uint8Array(view.buffer, start, data.length), data);
+
+        record += 46 + nameLength;
+    });
+});